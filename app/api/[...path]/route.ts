@@ -0,0 +1,73 @@
+import type { NextRequest } from "next/server"
+
+// The browser talks to the backend through this route so the API key stays on the
+// server. Every signed-in user of the UI (see middleware.ts) acts as this one key and
+// shares its job history, so only the endpoints the UI itself calls are forwarded
+const BACKEND_URL = process.env.BACKEND_URL || "http://localhost:3001"
+const API_KEY = process.env.API_KEY
+
+// Headers passed through in each direction
+const REQUEST_HEADERS = ["accept", "content-type", "last-event-id"]
+const RESPONSE_HEADERS = ["cache-control", "content-disposition", "content-type", "retry-after"]
+
+// Method and path of every backend endpoint the UI uses; anything else (the admin
+// dashboard, usage, glossaries, translation memory) is never reachable through the UI's key
+const ALLOWED_ROUTES: [string, RegExp][] = [
+  ["GET", /^languages$/],
+  ["GET", /^jobs$/],
+  ["POST", /^jobs\/[^/]+\/retry$/],
+  ["DELETE", /^jobs\/[^/]+$/],
+  ["POST", /^batch$/],
+  ["GET", /^batch\/[^/]+(\/stream|\/download)?$/],
+  ["GET", /^download\/[^/]+(\/[^/]+)?$/],
+  ["POST", /^translate\/text$/],
+]
+
+export const dynamic = "force-dynamic"
+
+function isAllowed(method: string, path: string[]) {
+  if (path[0] === "admin") return false
+  const route = path.join("/")
+  return ALLOWED_ROUTES.some(([allowedMethod, pattern]) => allowedMethod === method && pattern.test(route))
+}
+
+async function proxy(request: NextRequest, { params }: { params: Promise<{ path: string[] }> }) {
+  const { path } = await params
+  if (!isAllowed(request.method, path)) {
+    return Response.json({ error: "Not found" }, { status: 404 })
+  }
+  const url = `${BACKEND_URL}/${path.map(encodeURIComponent).join("/")}${request.nextUrl.search}`
+
+  const headers = new Headers()
+  for (const name of REQUEST_HEADERS) {
+    const value = request.headers.get(name)
+    if (value) headers.set(name, value)
+  }
+  if (API_KEY) headers.set("Authorization", `Bearer ${API_KEY}`)
+
+  const hasBody = request.method !== "GET" && request.method !== "HEAD"
+  let response: Response
+  try {
+    response = await fetch(url, {
+      method: request.method,
+      headers,
+      body: hasBody ? request.body : undefined,
+      // Uploads are streamed through instead of buffered
+      duplex: hasBody ? "half" : undefined,
+      signal: request.signal,
+      cache: "no-store",
+    } as RequestInit & { duplex?: "half" })
+  } catch {
+    return Response.json({ error: "Translation backend is unavailable" }, { status: 502 })
+  }
+
+  // Bodies (downloads, the status stream) are streamed back as they arrive
+  const responseHeaders = new Headers()
+  for (const name of RESPONSE_HEADERS) {
+    const value = response.headers.get(name)
+    if (value) responseHeaders.set(name, value)
+  }
+  return new Response(response.body, { status: response.status, headers: responseHeaders })
+}
+
+export { proxy as GET, proxy as POST, proxy as DELETE }
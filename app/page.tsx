@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, type ChangeEvent, type FormEvent } from "react"
+import { useEffect, useRef, useState, type ChangeEvent, type DragEvent, type FormEvent } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle, CardFooter } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
@@ -19,102 +19,304 @@ import {
   Loader2,
   Globe,
   ArrowRight,
+  X,
+  History,
+  RotateCcw,
+  ChevronLeft,
+  ChevronRight,
+  ClipboardPaste,
+  Copy,
 } from "lucide-react"
 import { Badge } from "@/components/ui/badge"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { ThemeToggle } from "../components/theme-toogle"
 
 // Language data with TypeScript interface
+// Languages of the backend's translation provider, with the codes each one translates into
 interface Language {
   code: string
   name: string
+  targets: string[]
 }
 
-const languages: Language[] = [
-  { code: "en", name: "English" },
-  { code: "sq", name: "Albanian" },
-  { code: "ar", name: "Arabic" },
-  { code: "az", name: "Azerbaijani" },
-  { code: "eu", name: "Basque" },
-  { code: "bn", name: "Bengali" },
-  { code: "bg", name: "Bulgarian" },
-  { code: "ca", name: "Catalan" },
-  { code: "zh", name: "Chinese" },
-  { code: "zt", name: "Chinese (traditional)" },
-  { code: "cs", name: "Czech" },
-  { code: "da", name: "Danish" },
-  { code: "nl", name: "Dutch" },
-  { code: "eo", name: "Esperanto" },
-  { code: "et", name: "Estonian" },
-  { code: "fi", name: "Finnish" },
-  { code: "fr", name: "French" },
-  { code: "gl", name: "Galician" },
-  { code: "de", name: "German" },
-  { code: "el", name: "Greek" },
-  { code: "he", name: "Hebrew" },
-  { code: "hi", name: "Hindi" },
-  { code: "hu", name: "Hungarian" },
-  { code: "id", name: "Indonesian" },
-  { code: "ga", name: "Irish" },
-  { code: "it", name: "Italian" },
-  { code: "ja", name: "Japanese" },
-  { code: "ko", name: "Korean" },
-  { code: "lv", name: "Latvian" },
-  { code: "lt", name: "Lithuanian" },
-  { code: "ms", name: "Malay" },
-  { code: "nb", name: "Norwegian" },
-  { code: "fa", name: "Persian" },
-  { code: "pl", name: "Polish" },
-  { code: "pt", name: "Portuguese" },
-  { code: "ro", name: "Romanian" },
-  { code: "ru", name: "Russian" },
-  { code: "sk", name: "Slovak" },
-  { code: "sl", name: "Slovenian" },
-  { code: "es", name: "Spanish" },
-  { code: "sv", name: "Swedish" },
-  { code: "tl", name: "Tagalog" },
-  { code: "th", name: "Thai" },
-  { code: "tr", name: "Turkish" },
-  { code: "uk", name: "Ukranian" },
-  { code: "ur", name: "Urdu" },
-].sort((a, b) => a.name.localeCompare(b.name))
 
 // Define status response types
-interface StatusResponse {
+interface FileResult {
+  name: string
+  output?: string
+  status: "translated" | "copied" | "skipped" | "failed"
+  error?: string
+  sourceCharacters?: number
+  translatedCharacters?: number
+  ocrConfidence?: number | null
+}
+
+interface BatchJob {
+  fileId: string
+  originalname?: string
+  targetLanguage: string
+  detectedLanguage?: string
+  detectedEncoding?: string
+  resultEncoding?: string
+  ocrPages?: number[]
+  ocrConfidence?: number | null
   status: string
   step?: string
   progress?: number
   totalFiles?: number
   current?: number
-  translatedFile?: string
+  results?: FileResult[]
+  outputs?: string[]
+  error?: string
+}
+
+interface BatchStatusResponse {
+  batchId: string
+  status: string
+  files?: string[]
+  sourceLanguage: string
+  progress?: number
+  completedJobs: number
+  totalJobs: number
+  jobs: BatchJob[]
 }
 
+interface JobSummary {
+  fileId: string
+  batchId: string
+  originalname: string
+  status: string
+  sourceLanguage: string
+  detectedLanguage?: string
+  targetLanguage: string
+  progress: number
+  uploadTime: string
+  completedTime?: string
+  failedTime?: string
+  expiresAt?: string
+  error?: string
+  downloadable: boolean
+  retryable: boolean
+}
+
+interface JobListResponse {
+  jobs: JobSummary[]
+  total: number
+  page: number
+  pageSize: number
+}
+
+// Backend requests go through the app's own /api route, which adds the API key on the server
+const apiBase = "/api"
+
+// Download a file through the API route and hand it to the browser
+const downloadFile = async (url: string) => {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.statusText}`)
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || ""
+  // The UTF-8 `filename*` carries non-ASCII names; `filename` is only an ASCII fallback
+  const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1]
+  const filename = (encodedName && decodeURIComponent(encodedName)) || disposition.match(/filename="([^"]+)"/)?.[1] || "translation"
+  const objectUrl = URL.createObjectURL(await response.blob())
+  const link = document.createElement("a")
+  link.href = objectUrl
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(objectUrl)
+}
+
+// Batch states after which the status stream ends and polling stops
+const terminalStatuses = ["completed", "failed", "partial", "cancelled", "expired"]
+
+// Job states that have a translated file to download
+const downloadableStatuses = ["completed", "partial"]
+
+// Labels for the outcome of each file inside a ZIP job
+const resultLabels: Record<FileResult["status"], string> = {
+  translated: "Translated",
+  copied: "Copied unchanged",
+  skipped: "Skipped",
+  failed: "Failed",
+}
+
+// Review exports that can be requested next to the translated file
+const reviewOutputLabels: Record<string, string> = {
+  bilingual: "Bilingual",
+  xliff: "XLIFF",
+}
+
+// Encodings offered for plain text files; the backend accepts any name iconv-lite knows
+const inputEncodings = [
+  { value: "auto", label: "Detect automatically" },
+  { value: "utf-8", label: "UTF-8" },
+  { value: "utf-16le", label: "UTF-16 LE" },
+  { value: "windows-1252", label: "Windows-1252 (Western)" },
+  { value: "iso-8859-15", label: "ISO-8859-15 (Latin-9)" },
+  { value: "windows-1251", label: "Windows-1251 (Cyrillic)" },
+  { value: "shift_jis", label: "Shift-JIS" },
+  { value: "euc-kr", label: "EUC-KR" },
+  { value: "gb18030", label: "GB18030" },
+  { value: "big5", label: "Big5" },
+]
+const outputEncodings = [
+  { value: "utf-8", label: "UTF-8" },
+  { value: "source", label: "Same as the original" },
+  { value: "utf-16", label: "UTF-16 (with BOM)" },
+  ...inputEncodings.filter(({ value }) => !["auto", "utf-8", "utf-16le"].includes(value)),
+]
+
+// Job states the history can be filtered by
+const historyFilters = ["all", "completed", "partial", "failed", "cancelled", "expired", "processing", "queued"]
+const historyPageSize = 10
+
+const formatTime = (time?: string) => (time ? new Date(time).toLocaleString() : "—")
+
 export default function FileTranslator() {
-  const [file, setFile] = useState<File | null>(null)
-  const [language, setLanguage] = useState<string>("")
-  const [fileId, setFileId] = useState<string | null>(null)
+  const [languages, setLanguages] = useState<Language[]>([])
+  const [languagesError, setLanguagesError] = useState<string>("")
+  const [files, setFiles] = useState<File[]>([])
+  const [isDragging, setIsDragging] = useState<boolean>(false)
+  const [batchFiles, setBatchFiles] = useState<string[]>([])
+  const [sourceLanguage, setSourceLanguage] = useState<string>("auto")
+  const [detectedLanguage, setDetectedLanguage] = useState<string>("")
+  const [targetLanguages, setTargetLanguages] = useState<string[]>([])
+  const [reviewOutputs, setReviewOutputs] = useState<string[]>([])
+  const [bilingualFormat, setBilingualFormat] = useState<string>("docx")
+  const [inputEncoding, setInputEncoding] = useState<string>("auto")
+  const [outputEncoding, setOutputEncoding] = useState<string>("utf-8")
+  const [batchId, setBatchId] = useState<string | null>(null)
+  const [jobs, setJobs] = useState<BatchJob[]>([])
   const [status, setStatus] = useState<string>("")
   const [error, setError] = useState<string>("")
   const [isUploading, setIsUploading] = useState<boolean>(false)
   const [progress, setProgress] = useState<number>(0)
   const [activeTab, setActiveTab] = useState<string>("upload")
   const [step, setStep] = useState<string>("")
-  const [totalFiles, setTotalFiles] = useState<number>(0)
-  const [currentFile, setCurrentFile] = useState<number>(0)
+  const statusStream = useRef<AbortController | null>(null)
+  const [history, setHistory] = useState<JobSummary[]>([])
+  const [historyTotal, setHistoryTotal] = useState<number>(0)
+  const [historyPage, setHistoryPage] = useState<number>(1)
+  const [historyFilter, setHistoryFilter] = useState<string>("all")
+  const [historyVersion, setHistoryVersion] = useState<number>(0)
+  const [isLoadingHistory, setIsLoadingHistory] = useState<boolean>(false)
+  const [pastedText, setPastedText] = useState<string>("")
+  const [textSourceLanguage, setTextSourceLanguage] = useState<string>("auto")
+  const [textTargetLanguage, setTextTargetLanguage] = useState<string>("")
+  const [textTranslation, setTextTranslation] = useState<string>("")
+  const [textDetectedLanguage, setTextDetectedLanguage] = useState<string>("")
+  const [textError, setTextError] = useState<string>("")
+  const [isTranslatingText, setIsTranslatingText] = useState<boolean>(false)
+
+  // Load the languages the backend's translation provider supports
+  useEffect(() => {
+    const controller = new AbortController()
+    fetch(`${apiBase}/languages`, { signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load languages: ${response.statusText}`)
+        }
+        setLanguages((await response.json()) as Language[])
+        setLanguagesError("")
+      })
+      .catch((error: Error) => {
+        if (controller.signal.aborted) return
+        setLanguagesError(error.message)
+      })
+
+    return () => controller.abort()
+  }, [])
+
+  const getLanguageName = (code: string) => languages.find((lang) => lang.code === code)?.name || code
+
+  // Languages a text in `source` can be translated into; every language when it is detected
+  const getTargetOptions = (source: string) => {
+    if (source === "auto") return languages
+    const targets = languages.find((lang) => lang.code === source)?.targets || []
+    return languages.filter((lang) => targets.includes(lang.code))
+  }
+
+  // Load the job history whenever the history tab is shown or its page/filter changes
+  useEffect(() => {
+    if (activeTab !== "history") return
+
+    const controller = new AbortController()
+    const params = new URLSearchParams({ page: String(historyPage), pageSize: String(historyPageSize) })
+    if (historyFilter !== "all") params.set("status", historyFilter)
+
+    setIsLoadingHistory(true)
+    fetch(`${apiBase}/jobs?${params}`, { signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load history: ${response.statusText}`)
+        }
+        const { jobs, total } = (await response.json()) as JobListResponse
+        setHistory(jobs)
+        setHistoryTotal(total)
+        setIsLoadingHistory(false)
+      })
+      .catch((error: Error) => {
+        if (controller.signal.aborted) return
+        setError(error.message)
+        setIsLoadingHistory(false)
+      })
+
+    return () => controller.abort()
+  }, [activeTab, historyPage, historyFilter, historyVersion])
+
+  // Add picked or dropped files; a file with the same name replaces the earlier one
+  const addFiles = (added: File[]) => {
+    setFiles((prev) => [...prev.filter((file) => !added.some((other) => other.name === file.name)), ...added])
+  }
+
+  // Remove a selected file
+  const removeFile = (name: string) => {
+    setFiles((prev) => prev.filter((file) => file.name !== name))
+  }
 
   // Handle file input change
   const handleFileChange = (e: ChangeEvent<HTMLInputElement>) => {
     if (e.target.files && e.target.files.length > 0) {
-      setFile(e.target.files[0])
+      addFiles(Array.from(e.target.files))
     }
+    // Lets the same file be picked again after removing it
+    e.target.value = ""
+  }
+
+  // Handle files dropped on the upload area
+  const handleDrop = (e: DragEvent<HTMLDivElement>) => {
+    e.preventDefault()
+    setIsDragging(false)
+    if (!isUploading && e.dataTransfer.files.length > 0) {
+      addFiles(Array.from(e.dataTransfer.files))
+    }
+  }
+
+  // Add a target language from the select
+  const addLanguage = (code: string) => {
+    setTargetLanguages((prev) => (prev.includes(code) ? prev : [...prev, code]))
+  }
+
+  // Change the source language, dropping target languages it can't be translated into
+  const changeSourceLanguage = (code: string) => {
+    const supported = getTargetOptions(code).map((lang) => lang.code)
+    setSourceLanguage(code)
+    setTargetLanguages((prev) => prev.filter((lang) => supported.includes(lang)))
+  }
+
+  // Remove a selected target language
+  const removeLanguage = (code: string) => {
+    setTargetLanguages((prev) => prev.filter((lang) => lang !== code))
   }
 
   // Handle form submission
   const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
     e.preventDefault()
 
-    if (!file || !language) {
-      setError("Please select both a file and a language")
+    if (files.length === 0 || targetLanguages.length === 0) {
+      setError("Please select at least one file and one language")
       return
     }
 
@@ -123,8 +325,15 @@ export default function FileTranslator() {
     setActiveTab("status")
 
     const formData = new FormData()
-    formData.append("file", file)
-    formData.append("language", language)
+    files.forEach((file) => formData.append("files", file))
+    formData.append("sourceLanguage", sourceLanguage)
+    targetLanguages.forEach((lang) => formData.append("languages", lang))
+    reviewOutputs.forEach((output) => formData.append("outputs", output))
+    if (reviewOutputs.includes("bilingual")) {
+      formData.append("bilingualFormat", bilingualFormat)
+    }
+    formData.append("encoding", inputEncoding)
+    formData.append("outputEncoding", outputEncoding)
 
     try {
       // Simulate upload progress
@@ -135,8 +344,8 @@ export default function FileTranslator() {
         })
       }, 500)
 
-      // Upload the file
-      const uploadResponse = await fetch(`${process.env.NEXT_PUBLIC_PORT}/upload`, {
+      // Upload the files as one batch
+      const uploadResponse = await fetch(`${apiBase}/batch`, {
         method: "POST",
         body: formData,
       })
@@ -145,15 +354,17 @@ export default function FileTranslator() {
       setProgress(100)
 
       if (!uploadResponse.ok) {
-        throw new Error(`Upload failed: ${uploadResponse.statusText}`)
+        const { error } = (await uploadResponse.json().catch(() => ({}))) as { error?: string }
+        throw new Error(`Upload failed: ${error || uploadResponse.statusText}`)
       }
 
-      const { fileId, status } = (await uploadResponse.json()) as { fileId: string; status: string }
-      setFileId(fileId)
+      const { batchId, status } = (await uploadResponse.json()) as { batchId: string; status: string }
+      setBatchId(batchId)
+      setBatchFiles(files.map((file) => file.name))
       setStatus(status)
 
-      // Start checking status
-      checkStatus(fileId)
+      // Follow the translation progress
+      watchStatus(batchId)
     } catch (error) {
       setIsUploading(false)
       setProgress(0)
@@ -162,27 +373,130 @@ export default function FileTranslator() {
     }
   }
 
-  // Check file processing status
-  const checkStatus = async (id: string) => {
+  // Change the pasted text's source language, clearing a target it can't be translated into
+  const changeTextSourceLanguage = (code: string) => {
+    setTextSourceLanguage(code)
+    if (!getTargetOptions(code).some((lang) => lang.code === textTargetLanguage)) {
+      setTextTargetLanguage("")
+    }
+  }
+
+  // Translate pasted text inline, without uploading a file
+  const handleTranslateText = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault()
+
+    if (pastedText.trim() === "" || !textTargetLanguage) {
+      setTextError("Please enter some text and select a language")
+      return
+    }
+
+    setIsTranslatingText(true)
+    setTextError("")
+    setTextTranslation("")
+    setTextDetectedLanguage("")
+
     try {
-      const statusResponse = await fetch(`${process.env.NEXT_PUBLIC_PORT}/status/${id}`)
+      const response = await fetch(`${apiBase}/translate/text`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          text: pastedText,
+          sourceLanguage: textSourceLanguage,
+          targetLanguage: textTargetLanguage,
+        }),
+      })
+
+      const result = (await response.json().catch(() => ({}))) as {
+        translation?: string
+        detectedLanguage?: string
+        error?: string
+      }
+      if (!response.ok) {
+        throw new Error(result.error || response.statusText)
+      }
+
+      setTextTranslation(result.translation || "")
+      setTextDetectedLanguage(result.detectedLanguage || "")
+    } catch (error) {
+      setTextError(`Translation failed: ${error instanceof Error ? error.message : "Unknown error"}`)
+    } finally {
+      setIsTranslatingText(false)
+    }
+  }
+
+  // Show a batch status; returns whether the batch has finished
+  const applyBatchStatus = ({ status, files, progress, completedJobs, totalJobs, jobs }: BatchStatusResponse) => {
+    setStatus(status)
+    setJobs(jobs)
+    if (files) setBatchFiles(files)
+    setDetectedLanguage(jobs.find((job) => job.detectedLanguage)?.detectedLanguage || "")
+    setProgress(progress || 0)
+    setStep(
+      totalJobs > 1
+        ? `${completedJobs} of ${totalJobs} ${files && files.length > 1 ? "translations" : "languages"} completed`
+        : jobs[0]?.step || ""
+    )
+
+    const finished = terminalStatuses.includes(status)
+    if (finished) {
+      setIsUploading(false)
+    }
+    return finished
+  }
+
+  // Follow batch progress over the server-sent event stream, falling back to polling
+  // when the stream can't be opened or drops before the batch finishes
+  const watchStatus = async (id: string) => {
+    const controller = new AbortController()
+    statusStream.current = controller
+
+    try {
+      const response = await fetch(`${apiBase}/batch/${id}/stream`, { signal: controller.signal })
+      if (!response.ok || !response.body) {
+        throw new Error(`Status stream unavailable: ${response.statusText}`)
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+      let buffer = ""
+      while (true) {
+        const { value, done } = await reader.read()
+        if (done) break
+
+        // Events are separated by a blank line; keep the incomplete tail for the next read
+        buffer += value
+        const events = buffer.split("\n\n")
+        buffer = events.pop() || ""
+        for (const event of events) {
+          const type = event.match(/^event: (.*)$/m)?.[1]
+          const data = event.match(/^data: (.*)$/m)?.[1]
+          if (type === "status" && data && applyBatchStatus(JSON.parse(data) as BatchStatusResponse)) {
+            return
+          }
+        }
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return
+      console.warn("Falling back to status polling:", error)
+    }
+
+    if (!controller.signal.aborted) {
+      checkStatus(id, controller.signal)
+    }
+  }
+
+  // Check batch processing status until it finishes or the form is reset
+  const checkStatus = async (id: string, signal: AbortSignal) => {
+    try {
+      const statusResponse = await fetch(`${apiBase}/batch/${id}`)
 
       if (!statusResponse.ok) {
         throw new Error(`Failed to check status: ${statusResponse.statusText}`)
       }
 
-      const { status, step, progress, totalFiles, current } = (await statusResponse.json()) as StatusResponse
-      setStatus(status)
-      setStep(step || "")
-      setProgress(progress || 0)
-      setTotalFiles(totalFiles || 0)
-      setCurrentFile(current || 0)
-
-      if (status === "completed") {
-        setIsUploading(false)
-      } else {
+      const batchStatus = (await statusResponse.json()) as BatchStatusResponse
+      if (!signal.aborted && !applyBatchStatus(batchStatus)) {
         // Check again after 5 seconds
-        setTimeout(() => checkStatus(id), 5000)
+        setTimeout(() => checkStatus(id, signal), 5000)
       }
     } catch (error) {
       setError(`Status check error: ${error instanceof Error ? error.message : "Unknown error"}`)
@@ -190,30 +504,72 @@ export default function FileTranslator() {
     }
   }
 
-  // Handle download
-  const handleDownload = () => {
-    if (fileId) {
-      window.location.href = `${process.env.NEXT_PUBLIC_PORT}/download/${fileId}`
+  // Handle download of a single language, or of one of its review exports
+  const handleDownload = (fileId: string, output?: string) => {
+    const url = `${apiBase}/download/${fileId}${output ? `/${output}` : ""}`
+    downloadFile(url).catch((error: Error) => setError(error.message))
+  }
+
+  // Toggle a review export for the next upload
+  const toggleReviewOutput = (output: string, enabled: boolean) => {
+    setReviewOutputs((current) => (enabled ? [...current, output] : current.filter((value) => value !== output)))
+  }
+
+  // Handle download of every finished language as one ZIP
+  const handleDownloadAll = () => {
+    if (batchId) {
+      downloadFile(`${apiBase}/batch/${batchId}/download`).catch((error: Error) =>
+        setError(error.message)
+      )
+    }
+  }
+
+  // Queue a failed or partial job from the history again
+  const handleRetry = async (fileId: string) => {
+    try {
+      const response = await fetch(`${apiBase}/jobs/${fileId}/retry`, {
+        method: "POST",
+      })
+      if (!response.ok) {
+        const { error } = (await response.json().catch(() => ({}))) as { error?: string }
+        throw new Error(`Retry failed: ${error || response.statusText}`)
+      }
+      setHistoryVersion((version) => version + 1)
+    } catch (error) {
+      setError(error instanceof Error ? error.message : "Unknown error")
     }
   }
 
   // Reset form
   const resetForm = () => {
-    setFile(null)
-    setLanguage("")
-    setFileId(null)
+    statusStream.current?.abort()
+    statusStream.current = null
+
+    // Starting over cancels whatever is still queued or running
+    jobs
+      .filter((job) => !terminalStatuses.includes(job.status))
+      .forEach((job) => {
+        fetch(`${apiBase}/jobs/${job.fileId}`, { method: "DELETE" }).catch(
+          (error) => console.error(`Failed to cancel ${job.fileId}:`, error)
+        )
+      })
+    setFiles([])
+    setBatchFiles([])
+    setSourceLanguage("auto")
+    setDetectedLanguage("")
+    setTargetLanguages([])
+    setBatchId(null)
+    setJobs([])
     setStatus("")
     setError("")
     setIsUploading(false)
     setProgress(0)
     setActiveTab("upload")
     setStep("")
-    setTotalFiles(0)
-    setCurrentFile(0)
   }
 
   // Get status badge
-  const getStatusBadge = () => {
+  const getStatusBadge = (status: string) => {
     if (status === "completed") {
       return (
         <Badge variant="secondary" className="ml-2">
@@ -221,6 +577,16 @@ export default function FileTranslator() {
           Completed
         </Badge>
       )
+    } else if (status === "partial") {
+      return (
+        <Badge
+          variant="outline"
+          className="ml-2 bg-amber-50 text-amber-700 border-amber-200 dark:bg-amber-950 dark:text-amber-200 dark:border-amber-800"
+        >
+          <AlertCircle className="mr-1 h-3 w-3" />
+          Partially completed
+        </Badge>
+      )
     } else if (status === "processing") {
       return (
         <Badge
@@ -250,22 +616,30 @@ export default function FileTranslator() {
               <Globe className="h-6 w-6 text-primary" />
               <CardTitle className="text-2xl">Tranzo Minstry Vineyard</CardTitle>
             </div>
-            {fileId && getStatusBadge()}
+            {batchId && getStatusBadge(status)}
           </div>
           <CardDescription>Translate documents and files to multiple languages</CardDescription>
         </CardHeader>
 
         <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
           <div className="px-6">
-            <TabsList className="grid w-full grid-cols-2">
+            <TabsList className="grid w-full grid-cols-4">
               <TabsTrigger value="upload" disabled={isUploading}>
                 <Upload className="mr-2 h-4 w-4" />
                 Upload
               </TabsTrigger>
-              <TabsTrigger value="status" disabled={!fileId}>
+              <TabsTrigger value="text">
+                <ClipboardPaste className="mr-2 h-4 w-4" />
+                Paste text
+              </TabsTrigger>
+              <TabsTrigger value="status" disabled={!batchId}>
                 <FileText className="mr-2 h-4 w-4" />
                 Status
               </TabsTrigger>
+              <TabsTrigger value="history">
+                <History className="mr-2 h-4 w-4" />
+                History
+              </TabsTrigger>
             </TabsList>
           </div>
 
@@ -275,49 +649,197 @@ export default function FileTranslator() {
                 <div className="space-y-3">
                   <div className="flex items-center">
                     <FileText className="h-4 w-4 mr-2 text-muted-foreground" />
-                    <h3 className="text-sm font-medium">Select File</h3>
+                    <h3 className="text-sm font-medium">Select Files</h3>
                   </div>
 
-                  <div className="border-2 border-dashed rounded-lg p-4 hover:bg-muted/50 transition-colors">
+                  <div
+                    className={`border-2 border-dashed rounded-lg p-4 hover:bg-muted/50 transition-colors ${
+                      isDragging ? "border-primary bg-muted/50" : ""
+                    }`}
+                    onDragOver={(e) => {
+                      e.preventDefault()
+                      setIsDragging(true)
+                    }}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                  >
                     <Input
                       id="fileInput"
                       type="file"
-                      accept=".txt,.docx,.pdf,.zip"
+                      multiple
+                      accept=".txt,.docx,.pdf,.md,.markdown,.html,.htm,.srt,.vtt,.json,.po,.yaml,.yml,.png,.jpg,.jpeg,.tif,.tiff,.zip"
                       onChange={handleFileChange}
-                      required
                       className="cursor-pointer"
                     />
-                    {file && (
-                      <div className="mt-2 text-sm">
-                        <span className="font-medium">Selected:</span> {file.name} ({(file.size / 1024).toFixed(1)} KB)
-                      </div>
+                    <p className="mt-2 text-xs text-muted-foreground">Or drop one or more files here</p>
+                    {files.length > 0 && (
+                      <ul className="mt-2 space-y-1 text-sm">
+                        {files.map((file) => (
+                          <li key={file.name} className="flex items-center justify-between gap-2">
+                            <span className="truncate">
+                              <span className="font-medium">{file.name}</span> ({(file.size / 1024).toFixed(1)} KB)
+                            </span>
+                            <button
+                              type="button"
+                              onClick={() => removeFile(file.name)}
+                              className="rounded-full hover:bg-muted"
+                              aria-label={`Remove ${file.name}`}
+                            >
+                              <X className="h-3 w-3" />
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
                     )}
                   </div>
 
                   <p className="text-xs text-muted-foreground flex items-center">
                     <AlertCircle className="h-3 w-3 mr-1" />
-                    Supported formats: .txt, .docx, .pdf, .zip
+                    Supported formats: .txt, .docx, .pdf (scanned pages included), Markdown, HTML, .srt/.vtt subtitles, .json/.po/.yaml
+                    localization files, PNG/JPEG/TIFF scans and .zip
                   </p>
                 </div>
 
                 <div className="space-y-3">
                   <div className="flex items-center">
                     <Languages className="h-4 w-4 mr-2 text-muted-foreground" />
-                    <h3 className="text-sm font-medium">Target Language</h3>
+                    <h3 className="text-sm font-medium">Source Language</h3>
                   </div>
 
-                  <Select value={language} onValueChange={setLanguage}>
+                  <Select value={sourceLanguage} onValueChange={changeSourceLanguage}>
+                    <SelectTrigger id="sourceLanguageSelect" className="w-full">
+                      <SelectValue placeholder="Detect automatically" />
+                    </SelectTrigger>
+                    <SelectContent className="max-h-[200px]">
+                      <SelectItem value="auto">Detect automatically</SelectItem>
+                      {languages
+                        .filter((lang) => lang.targets.length > 0)
+                        .map((lang) => (
+                          <SelectItem key={lang.code} value={lang.code}>
+                            {lang.name}
+                          </SelectItem>
+                        ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <div className="space-y-3">
+                  <div className="flex items-center">
+                    <Languages className="h-4 w-4 mr-2 text-muted-foreground" />
+                    <h3 className="text-sm font-medium">Target Languages</h3>
+                  </div>
+
+                  <Select value="" onValueChange={addLanguage}>
                     <SelectTrigger id="languageSelect" className="w-full">
-                      <SelectValue placeholder="Select language" />
+                      <SelectValue placeholder="Add language" />
                     </SelectTrigger>
                     <SelectContent className="max-h-[200px]">
-                      {languages.map((lang) => (
-                        <SelectItem key={lang.code} value={lang.code}>
-                          {lang.name}
-                        </SelectItem>
-                      ))}
+                      {getTargetOptions(sourceLanguage)
+                        .filter((lang) => !targetLanguages.includes(lang.code))
+                        .map((lang) => (
+                          <SelectItem key={lang.code} value={lang.code}>
+                            {lang.name}
+                          </SelectItem>
+                        ))}
                     </SelectContent>
                   </Select>
+
+                  {languagesError && <p className="text-xs text-destructive">{languagesError}</p>}
+
+                  {targetLanguages.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {targetLanguages.map((code) => (
+                        <Badge key={code} variant="secondary" className="pr-1">
+                          {getLanguageName(code)}
+                          <button
+                            type="button"
+                            onClick={() => removeLanguage(code)}
+                            className="ml-1 rounded-full hover:bg-muted"
+                            aria-label={`Remove ${getLanguageName(code)}`}
+                          >
+                            <X className="h-3 w-3" />
+                          </button>
+                        </Badge>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div className="space-y-3">
+                  <div className="flex items-center">
+                    <FileText className="h-4 w-4 mr-2 text-muted-foreground" />
+                    <h3 className="text-sm font-medium">Review Exports</h3>
+                  </div>
+
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={reviewOutputs.includes("bilingual")}
+                      onChange={(e) => toggleReviewOutput("bilingual", e.target.checked)}
+                    />
+                    Bilingual side-by-side document
+                  </label>
+                  {reviewOutputs.includes("bilingual") && (
+                    <Select value={bilingualFormat} onValueChange={setBilingualFormat}>
+                      <SelectTrigger id="bilingualFormatSelect" className="w-full">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="docx">Two-column DOCX</SelectItem>
+                        <SelectItem value="html">Two-column HTML</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  )}
+
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={reviewOutputs.includes("xliff")}
+                      onChange={(e) => toggleReviewOutput("xliff", e.target.checked)}
+                    />
+                    XLIFF 2.0 segments
+                  </label>
+                </div>
+
+                <div className="space-y-3">
+                  <div className="flex items-center">
+                    <FileText className="h-4 w-4 mr-2 text-muted-foreground" />
+                    <h3 className="text-sm font-medium">Text File Encoding</h3>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <span className="text-xs text-muted-foreground">Read as</span>
+                      <Select value={inputEncoding} onValueChange={setInputEncoding}>
+                        <SelectTrigger id="inputEncodingSelect" className="w-full">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent className="max-h-[200px]">
+                          {inputEncodings.map(({ value, label }) => (
+                            <SelectItem key={value} value={value}>
+                              {label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+
+                    <div className="space-y-1">
+                      <span className="text-xs text-muted-foreground">Write as</span>
+                      <Select value={outputEncoding} onValueChange={setOutputEncoding}>
+                        <SelectTrigger id="outputEncodingSelect" className="w-full">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent className="max-h-[200px]">
+                          {outputEncodings.map(({ value, label }) => (
+                            <SelectItem key={value} value={value}>
+                              {label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  </div>
                 </div>
 
                 {error && (
@@ -328,7 +850,7 @@ export default function FileTranslator() {
                   </Alert>
                 )}
 
-                <Button type="submit" className="w-full" disabled={isUploading || !file || !language}>
+                <Button type="submit" className="w-full" disabled={isUploading || files.length === 0 || targetLanguages.length === 0}>
                   {isUploading ? (
                     <>
                       <Loader2 className="mr-2 h-4 w-4 animate-spin" />
@@ -344,8 +866,115 @@ export default function FileTranslator() {
               </form>
             </TabsContent>
 
+            <TabsContent value="text" className="mt-0">
+              <form onSubmit={handleTranslateText} className="space-y-5">
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="space-y-3">
+                    <div className="flex items-center">
+                      <Languages className="h-4 w-4 mr-2 text-muted-foreground" />
+                      <h3 className="text-sm font-medium">From</h3>
+                    </div>
+                    <Select value={textSourceLanguage} onValueChange={changeTextSourceLanguage}>
+                      <SelectTrigger id="textSourceLanguageSelect" className="w-full">
+                        <SelectValue placeholder="Detect automatically" />
+                      </SelectTrigger>
+                      <SelectContent className="max-h-[200px]">
+                        <SelectItem value="auto">Detect automatically</SelectItem>
+                        {languages
+                          .filter((lang) => lang.targets.length > 0)
+                          .map((lang) => (
+                            <SelectItem key={lang.code} value={lang.code}>
+                              {lang.name}
+                            </SelectItem>
+                          ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div className="space-y-3">
+                    <div className="flex items-center">
+                      <Languages className="h-4 w-4 mr-2 text-muted-foreground" />
+                      <h3 className="text-sm font-medium">To</h3>
+                    </div>
+                    <Select value={textTargetLanguage} onValueChange={setTextTargetLanguage}>
+                      <SelectTrigger id="textTargetLanguageSelect" className="w-full">
+                        <SelectValue placeholder="Select language" />
+                      </SelectTrigger>
+                      <SelectContent className="max-h-[200px]">
+                        {getTargetOptions(textSourceLanguage).map((lang) => (
+                          <SelectItem key={lang.code} value={lang.code}>
+                            {lang.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+
+                <textarea
+                  id="pastedText"
+                  value={pastedText}
+                  onChange={(e) => setPastedText(e.target.value)}
+                  placeholder="Paste or type the text to translate"
+                  rows={6}
+                  className="w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+                />
+
+                {textError && (
+                  <Alert variant="destructive">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertTitle>Error</AlertTitle>
+                    <AlertDescription>{textError}</AlertDescription>
+                  </Alert>
+                )}
+
+                <Button
+                  type="submit"
+                  className="w-full"
+                  disabled={isTranslatingText || pastedText.trim() === "" || !textTargetLanguage}
+                >
+                  {isTranslatingText ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Translating...
+                    </>
+                  ) : (
+                    <>
+                      <Languages className="mr-2 h-4 w-4" />
+                      Translate
+                    </>
+                  )}
+                </Button>
+
+                {textTranslation && (
+                  <div className="space-y-2">
+                    <div className="flex items-center justify-between">
+                      <h3 className="text-sm font-medium">
+                        {getLanguageName(textTargetLanguage)}
+                        {textDetectedLanguage && (
+                          <span className="ml-2 text-xs font-normal text-muted-foreground">
+                            from {getLanguageName(textDetectedLanguage)} (detected)
+                          </span>
+                        )}
+                      </h3>
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => navigator.clipboard.writeText(textTranslation)}
+                        aria-label="Copy translation"
+                      >
+                        <Copy className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <div className="rounded-md border bg-muted/50 px-3 py-2 text-sm whitespace-pre-wrap">{textTranslation}</div>
+                  </div>
+                )}
+              </form>
+            </TabsContent>
+
             <TabsContent value="status" className="mt-0 space-y-5">
-              {fileId && (
+              {batchId && (
                 <>
                   <div className="space-y-3">
                     <div className="flex items-center justify-between">
@@ -357,20 +986,25 @@ export default function FileTranslator() {
 
                     <div className="rounded-md bg-muted/50 p-4 space-y-2">
                       <div>
-                        <span className="text-xs text-muted-foreground">File Name</span>
-                        <p className="text-sm font-medium">{file?.name}</p>
+                        <span className="text-xs text-muted-foreground">{batchFiles.length > 1 ? "Files" : "File Name"}</span>
+                        <p className="text-sm font-medium">{batchFiles.join(", ")}</p>
                       </div>
 
                       <div>
-                        <span className="text-xs text-muted-foreground">Target Language</span>
+                        <span className="text-xs text-muted-foreground">Languages</span>
                         <p className="text-sm font-medium">
-                          {languages.find((lang) => lang.code === language)?.name || language}
+                          {sourceLanguage !== "auto"
+                            ? getLanguageName(sourceLanguage)
+                            : detectedLanguage
+                              ? `Detected: ${getLanguageName(detectedLanguage)}`
+                              : "Auto-detect"}{" "}
+                          → {targetLanguages.map(getLanguageName).join(", ")}
                         </p>
                       </div>
 
                       <div>
-                        <span className="text-xs text-muted-foreground">File ID</span>
-                        <p className="font-mono text-xs truncate">{fileId}</p>
+                        <span className="text-xs text-muted-foreground">Batch ID</span>
+                        <p className="font-mono text-xs truncate">{batchId}</p>
                       </div>
                     </div>
                   </div>
@@ -381,7 +1015,7 @@ export default function FileTranslator() {
                         <RefreshCw className="h-4 w-4 mr-2 text-muted-foreground" />
                         Translation Progress
                       </h3>
-                      {getStatusBadge()}
+                      {getStatusBadge(status)}
                     </div>
 
                     <div className="space-y-2">
@@ -392,11 +1026,92 @@ export default function FileTranslator() {
                       <Progress value={progress} className="h-2" />
                     </div>
 
-                    {totalFiles > 0 && (
-                      <p className="text-xs text-muted-foreground italic">
-                        Processing file {currentFile} of {totalFiles}
-                      </p>
-                    )}
+                    <div className="space-y-2">
+                      {jobs.map((job) => (
+                        <div key={job.fileId} className="rounded-md border p-3 space-y-2">
+                          <div className="flex items-center justify-between">
+                            <span className="text-sm font-medium truncate">
+                              {batchFiles.length > 1 && job.originalname && `${job.originalname} · `}
+                              {getLanguageName(job.targetLanguage)}
+                            </span>
+                            <div className="flex items-center">
+                              {getStatusBadge(job.status)}
+                              {downloadableStatuses.includes(job.status) && (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  className="ml-2 h-7 px-2"
+                                  onClick={() => handleDownload(job.fileId)}
+                                  aria-label={`Download ${getLanguageName(job.targetLanguage)} translation`}
+                                >
+                                  <Download className="h-4 w-4" />
+                                </Button>
+                              )}
+                              {downloadableStatuses.includes(job.status) &&
+                                job.outputs?.map((output) => (
+                                  <Button
+                                    key={output}
+                                    variant="ghost"
+                                    size="sm"
+                                    className="ml-1 h-7 px-2 text-xs"
+                                    onClick={() => handleDownload(job.fileId, output)}
+                                    aria-label={`Download ${getLanguageName(job.targetLanguage)} ${reviewOutputLabels[output] || output} export`}
+                                  >
+                                    {reviewOutputLabels[output] || output}
+                                  </Button>
+                                ))}
+                            </div>
+                          </div>
+                          {!downloadableStatuses.includes(job.status) && <Progress value={job.progress || 0} className="h-1" />}
+                          {job.ocrConfidence !== undefined && (
+                            <p className="text-xs text-muted-foreground">
+                              Text read by OCR
+                              {!!job.ocrPages?.length && ` on page${job.ocrPages.length > 1 ? "s" : ""} ${job.ocrPages.join(", ")}`}
+                              {job.ocrConfidence !== null && ` · ${Math.round(job.ocrConfidence * 100)}% confidence`}
+                            </p>
+                          )}
+                          {job.detectedEncoding && (
+                            <p className="text-xs text-muted-foreground">
+                              Encoding: {job.detectedEncoding}
+                              {job.resultEncoding && job.resultEncoding !== job.detectedEncoding && ` → ${job.resultEncoding}`}
+                            </p>
+                          )}
+                          {!!job.totalFiles && job.totalFiles > 1 && (
+                            <p className="text-xs text-muted-foreground italic">
+                              Processing file {job.current || 0} of {job.totalFiles}
+                            </p>
+                          )}
+                          {job.error && <p className="text-xs text-destructive">{job.error}</p>}
+                          {!!job.results?.length && (
+                            <ul className="space-y-1 border-t pt-2">
+                              {job.results.map((result) => (
+                                <li key={result.name} className="text-xs">
+                                  <div className="flex items-center justify-between gap-2">
+                                    <span className="truncate font-mono" title={result.name}>
+                                      {result.name}
+                                    </span>
+                                    <span
+                                      className={`shrink-0 ${
+                                        result.status === "failed" ? "text-destructive" : "text-muted-foreground"
+                                      }`}
+                                    >
+                                      {resultLabels[result.status]}
+                                      {result.status === "translated" &&
+                                        ` · ${(result.sourceCharacters || 0).toLocaleString()} → ${(
+                                          result.translatedCharacters || 0
+                                        ).toLocaleString()} chars`}
+                                      {result.ocrConfidence !== undefined &&
+                                        ` · OCR${result.ocrConfidence === null ? "" : ` ${Math.round(result.ocrConfidence * 100)}%`}`}
+                                    </span>
+                                  </div>
+                                  {result.error && <p className="text-muted-foreground italic">{result.error}</p>}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      ))}
+                    </div>
                   </div>
 
                   {error && (
@@ -409,14 +1124,144 @@ export default function FileTranslator() {
                 </>
               )}
             </TabsContent>
+
+            <TabsContent value="history" className="mt-0 space-y-4">
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-medium flex items-center">
+                  <History className="h-4 w-4 mr-2 text-muted-foreground" />
+                  Past Translations
+                </h3>
+                <Select
+                  value={historyFilter}
+                  onValueChange={(value) => {
+                    setHistoryFilter(value)
+                    setHistoryPage(1)
+                  }}
+                >
+                  <SelectTrigger className="w-[140px] h-8">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {historyFilters.map((filter) => (
+                      <SelectItem key={filter} value={filter}>
+                        {filter === "all" ? "All statuses" : filter.charAt(0).toUpperCase() + filter.slice(1)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {isLoadingHistory && history.length === 0 ? (
+                <div className="flex items-center justify-center py-6 text-sm text-muted-foreground">
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Loading history...
+                </div>
+              ) : history.length === 0 ? (
+                <p className="py-6 text-center text-sm text-muted-foreground">No translations yet</p>
+              ) : (
+                <div className="space-y-2">
+                  {history.map((job) => (
+                    <div key={job.fileId} className="rounded-md border p-3 space-y-1">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="text-sm font-medium truncate" title={job.originalname}>
+                          {job.originalname}
+                        </span>
+                        <div className="flex shrink-0 items-center">
+                          {getStatusBadge(job.status)}
+                          {job.downloadable && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className="ml-1 h-7 px-2"
+                              onClick={() => handleDownload(job.fileId)}
+                              aria-label={`Download ${job.originalname} in ${getLanguageName(job.targetLanguage)}`}
+                            >
+                              <Download className="h-4 w-4" />
+                            </Button>
+                          )}
+                          {job.retryable && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className="ml-1 h-7 px-2"
+                              onClick={() => handleRetry(job.fileId)}
+                              aria-label={`Retry ${job.originalname} in ${getLanguageName(job.targetLanguage)}`}
+                            >
+                              <RotateCcw className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        {job.sourceLanguage !== "auto"
+                          ? getLanguageName(job.sourceLanguage)
+                          : job.detectedLanguage
+                            ? getLanguageName(job.detectedLanguage)
+                            : "Auto-detect"}{" "}
+                        → {getLanguageName(job.targetLanguage)}
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        Uploaded {formatTime(job.uploadTime)}
+                        {job.completedTime && ` · Finished ${formatTime(job.completedTime)}`}
+                        {job.failedTime && ` · Failed ${formatTime(job.failedTime)}`}
+                        {job.expiresAt &&
+                          (job.status === "expired"
+                            ? " · Files deleted"
+                            : ` · Files kept until ${formatTime(job.expiresAt)}`)}
+                      </p>
+                      {job.error && <p className="text-xs text-destructive">{job.error}</p>}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {error && (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertTitle>Error</AlertTitle>
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              {historyTotal > historyPageSize && (
+                <div className="flex items-center justify-between text-sm">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={historyPage === 1}
+                    onClick={() => setHistoryPage((page) => page - 1)}
+                  >
+                    <ChevronLeft className="h-4 w-4" />
+                  </Button>
+                  <span className="text-muted-foreground">
+                    Page {historyPage} of {Math.ceil(historyTotal / historyPageSize)}
+                  </span>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={historyPage * historyPageSize >= historyTotal}
+                    onClick={() => setHistoryPage((page) => page + 1)}
+                  >
+                    <ChevronRight className="h-4 w-4" />
+                  </Button>
+                </div>
+              )}
+            </TabsContent>
           </CardContent>
 
-          <CardFooter className="flex flex-col space-y-3 pt-0">
+          <CardFooter className={`flex flex-col space-y-3 pt-0 ${activeTab === "history" || activeTab === "text" ? "hidden" : ""}`}>
             <Separator />
 
             <div className="w-full space-y-3">
-              {status === "completed" && (
-                <Button className="w-full" onClick={handleDownload}>
+              {jobs.length > 1 && (status === "completed" || status === "partial") && (
+                <Button className="w-full" onClick={handleDownloadAll}>
+                  <Download className="mr-2 h-4 w-4" />
+                  {batchFiles.length > 1 ? "Download All Files (ZIP)" : "Download All Languages (ZIP)"}
+                </Button>
+              )}
+
+              {jobs.length === 1 && downloadableStatuses.includes(status) && (
+                <Button className="w-full" onClick={() => handleDownload(jobs[0].fileId)}>
                   <Download className="mr-2 h-4 w-4" />
                   Download Translated File
                 </Button>
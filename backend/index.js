@@ -4,8 +4,6 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const AdmZip = require('adm-zip');
-const mammoth = require('mammoth');
-const { PDFDocument } = require('pdf-lib');
 const { createBullBoard } = require('@bull-board/api');
 const { BullAdapter } = require('@bull-board/api/bullAdapter');
 const { ExpressAdapter } = require('@bull-board/express');
@@ -13,8 +11,25 @@ const Queue = require('bull');
 const redis = require('redis');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
+const crypto = require('crypto');
 const cors = require("cors");
+const { extractPdfPages, writeTranslatedPdf } = require('./lib/pdf');
+const { translateDocx, extractDocxText } = require('./lib/docx');
+const { splitIntoChunks, joinChunks, packBatches, runWithConcurrency, withRetry } = require('./lib/chunking');
+const { DEFAULT_PROVIDER, FALLBACK_PROVIDER, providerNames, hasProvider, getProvider } = require('./lib/providers');
+const { STATUS_TTL_SECONDS, createStatusStore } = require('./lib/status-store');
+const { createTranslationMemory } = require('./lib/translation-memory');
+const { createGlossaryStore, parseGlossary, protectTerms, restoreTerms } = require('./lib/glossary');
+const { sanitizeFilename, sanitizeEntryName, checkFileType, inspectZip } = require('./lib/file-validation');
+const { createAuth, canAccess } = require('./lib/auth');
+const resultStorage = require('./lib/storage');
+const { sendDownload } = require('./lib/download');
+const { validateCallbackUrl, createWebhookNotifier } = require('./lib/webhooks');
+const { TEXT_FORMAT_EXTENSIONS, isTextFormat, getContentType, translateTextFormat, extractTextFormat } = require('./lib/formats');
+const { createLanguageCatalog } = require('./lib/languages');
+const { IMAGE_EXTENSIONS, isImage, recognizeImage, recognizePdfPage, getMeanConfidence } = require('./lib/ocr');
+const { DEFAULT_OUTPUT_ENCODING, isSupportedEncoding, normalizeEncoding, decodeText, encodeText } = require('./lib/encoding');
+const { REVIEW_OUTPUTS, BILINGUAL_FORMATS, createReview, addReviewSegments, writeReviewOutputs } = require('./lib/review');
 
 const app = express();
 
@@ -24,8 +39,8 @@ const storage = multer.diskStorage({
         cb(null, 'uploads/');
     },
     filename: function (req, file, cb) {
-        // Keep original filename but make it unique
-        cb(null, `${Date.now()}-${file.originalname}`);
+        // Keep original filename (without any path parts) but make it unique
+        cb(null, `${Date.now()}-${sanitizeFilename(file.originalname)}`);
     }
 });
 
@@ -34,8 +49,30 @@ const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
-// LibreTranslate API setup
-const LIBRETRANSLATE_URL = process.env.LIBRETRANSLATE_URL || 'http://localhost:5001';
+// Most files accepted by one POST /batch upload
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES) || 20;
+
+// Large documents are translated in chunks so one request never carries a whole manual
+const TRANSLATION_CHUNK_SIZE = parseInt(process.env.TRANSLATION_CHUNK_SIZE) || 2000; // characters
+// Consecutive short chunks (DOCX runs, subtitle cues, JSON values) share one request up to the chunk size
+const TRANSLATION_BATCH_SEGMENTS = parseInt(process.env.TRANSLATION_BATCH_SEGMENTS) || 100;
+const TRANSLATION_CONCURRENCY = parseInt(process.env.TRANSLATION_CONCURRENCY) || 3;
+const TRANSLATION_RETRIES = parseInt(process.env.TRANSLATION_RETRIES) || 3;
+const TRANSLATION_RETRY_DELAY = 1000; // ms, doubled on every attempt
+
+// Text snippets are translated inline by POST /translate/text, so requests stay small
+const TEXT_MAX_SEGMENTS = parseInt(process.env.TEXT_MAX_SEGMENTS) || 100;
+const TEXT_MAX_CHARACTERS = parseInt(process.env.TEXT_MAX_CHARACTERS) || 20000;
+
+// Translation memory reuses earlier translations of identical segments
+const TRANSLATION_MEMORY_ENABLED = process.env.TRANSLATION_MEMORY_ENABLED !== 'false';
+
+// Source language detection runs once per document on a sample of its text
+const DETECTION_SAMPLE_SIZE = 2000; // characters
+const DETECTION_MIN_CONFIDENCE = parseFloat(process.env.DETECTION_MIN_CONFIDENCE) || 0.5;
+
+// Language codes end up in job IDs and file names, so only plain codes are accepted
+const LANGUAGE_CODE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/;
 
 // Redis and Bull setup
 const redisClient = redis.createClient({
@@ -52,233 +89,1118 @@ const redisClient = redis.createClient({
 })();
 
 // File processing queue
-const fileQueue = new Queue('fileQueue', {
-    redis: {
-        host: process.env.REDIS_HOST || '127.0.0.1',
-        port: parseInt(process.env.REDIS_PORT) || 6379,
-        maxRetriesPerRequest: null, // Disable retry limit
-    },
-});
+const queueRedisOptions = {
+    host: process.env.REDIS_HOST || '127.0.0.1',
+    port: parseInt(process.env.REDIS_PORT) || 6379,
+    maxRetriesPerRequest: null, // Disable retry limit
+};
+const fileQueue = new Queue('fileQueue', { redis: queueRedisOptions });
+
+// Webhook delivery queue, drained by lib/webhooks
+const webhookQueue = new Queue('webhookQueue', { redis: queueRedisOptions });
 
 // Bull Board setup for monitoring queues
 const serverAdapter = new ExpressAdapter();
 createBullBoard({
-    queues: [new BullAdapter(fileQueue)],
+    queues: [new BullAdapter(fileQueue), new BullAdapter(webhookQueue)],
     serverAdapter: serverAdapter,
 });
 serverAdapter.setBasePath('/admin/queues');
 
+// API key authentication, per-key rate limits and character quotas, tracked in Redis
+const auth = createAuth(redisClient);
+
 // CORS configuration for frontend
 const corsOptions = {
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true,
+    exposedHeaders: ['Content-Disposition'], // The frontend downloads with fetch and needs the file name
     optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
-app.use('/admin/queues', serverAdapter.getRouter());
+app.use(express.json({ limit: '1mb' }));
+app.use(auth.authenticate({ except: ['/'] })); // The home page doubles as a health check
+app.use('/admin/queues', auth.requireAdmin, serverAdapter.getRouter());
 
 // Temporary folders
 const UPLOAD_FOLDER = 'uploads';
 const TRANSLATED_FOLDER = 'translated';
 const TEMP_FOLDER = 'temp';
 
+// Job statuses that come with a translated file to download. `partial` jobs are
+// ZIPs where some entries failed; the per-entry outcome is in the status `results`
+const DOWNLOADABLE_STATUSES = ['completed', 'partial'];
+
+// Retention: a finished job's result and source are deleted this long after it
+// finishes, and its status turns `expired`. Uploads may ask for a different
+// retention, up to the status TTL (the status has to outlive the files to report it)
+const MAX_JOB_RETENTION_SECONDS = STATUS_TTL_SECONDS;
+const JOB_RETENTION_SECONDS = Math.min(parseInt(process.env.JOB_RETENTION_SECONDS) || 24 * 60 * 60, MAX_JOB_RETENTION_SECONDS); // 1 day
+const CLEANUP_INTERVAL = parseInt(process.env.CLEANUP_INTERVAL_SECONDS) * 1000 || 10 * 60 * 1000; // 10 minutes
+const CLEANUP_LOCK_KEY = 'tranzo:cleanup-lock';
+const TEMP_MAX_AGE = 24 * 60 * 60 * 1000; // ms; temp files only live while a job runs
+// Files without a live status are removed after this long; sources can predate
+// their job's end by however long the job waited in the queue, hence the margin
+const ORPHAN_MAX_AGE = 2 * STATUS_TTL_SECONDS * 1000; // ms
+
+// Document formats that can be translated, on their own or inside a ZIP
+const SUPPORTED_DOCUMENT_EXTENSIONS = ['.txt', '.docx', '.pdf', ...TEXT_FORMAT_EXTENSIONS, ...IMAGE_EXTENSIONS];
+
+// Job statuses that can be queued again from the history
+const RETRYABLE_STATUSES = ['failed', 'partial', 'cancelled'];
+
+// Job statuses after which nothing changes any more; live status streams close on them
+const TERMINAL_STATUSES = ['completed', 'partial', 'failed', 'cancelled', 'expired'];
+
+// Bull states in which a job can still be removed from the queue before it runs
+const REMOVABLE_QUEUE_STATES = ['waiting', 'delayed', 'paused'];
+const CANCEL_CHECK_INTERVAL = 1000; // ms between cancellation checks of a running job
+const STREAM_HEARTBEAT_INTERVAL = 15000; // ms, keeps proxies from closing idle streams
+
+// Manifest added to every translated ZIP, listing the outcome of each entry
+const ZIP_MANIFEST_NAME = 'tranzo-manifest.json';
+
 // Ensure folders exist
 [UPLOAD_FOLDER, TRANSLATED_FOLDER, TEMP_FOLDER].forEach(folder => {
     if (!fs.existsSync(folder)) fs.mkdirSync(folder);
 });
 
-// In-memory storage for tracking file status
-const fileStatus = {};
+// Job status shared through Redis by every API and worker instance
+const statusStore = createStatusStore(redisClient);
+
+// Translation memory shared by every job, stored in the same Redis instance
+const translationMemory = createTranslationMemory(redisClient);
+
+// Glossaries of forced translations and do-not-translate terms
+const glossaryStore = createGlossaryStore(redisClient);
+
+// Signed callbacks to the upload's callbackUrl when a job finishes
+const webhooks = createWebhookNotifier(webhookQueue, statusStore);
+
+// Cached language lists of the providers, used to check language pairs up front
+const languageCatalog = createLanguageCatalog(getProvider);
 
 // Endpoint to upload a file
-app.post('/upload', upload.single('file'), (req, res) => {
-    const file = req.file;
-    const targetLanguage = req.body.language || 'en'; // Default to English
-    console.log(file, "file", targetLanguage, "targetLanguage");
+app.post('/upload', upload.single('file'), (req, res, next) => {
+    queueUpload(req, res, next, req.file ? [req.file] : []).catch(next);
+});
+
+// Endpoint to upload several files at once, without zipping them first. Every
+// file gets one job per target language, all under the same batch ID
+app.post('/batch', upload.array('files', BATCH_MAX_FILES), (req, res, next) => {
+    queueUpload(req, res, next, req.files || []).catch(next);
+});
+
+// Function to validate an upload of one or more files and queue it as a new batch.
+// Shared by /upload and /batch, which take the same fields
+async function queueUpload(req, res, next, files) {
+    const targetLanguages = parseTargetLanguages(req.body);
+    const sourceLanguage = req.body.sourceLanguage || 'auto';
+    const provider = req.body.provider || DEFAULT_PROVIDER;
+    const includeUnsupported = req.body.includeUnsupported === 'true'; // ZIPs: copy untranslatable files through
+    const retentionSeconds = parseRetention(req.body.retention);
+    const callback = parseCallback(req.body);
+    const review = parseReviewOptions(req.body);
+    const encodings = parseEncodingOptions(req.body);
+
+    const cleanupFiles = () => files.forEach(file => cleanupFile(file.path));
 
     // Check if a file was uploaded
-    if (!file) {
+    if (files.length === 0) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Validate file type for ZIP
-    const isZipFile = file.originalname.endsWith('.zip');
-    const validZipMimeTypes = [
-        'application/zip',
-        'application/x-zip-compressed',
-        'application/octet-stream',
-        'multipart/x-zip'
-    ];
+    // Validate every upload by its content, not by its name or the client's content type
+    const sources = files.map(file => ({ sourcePath: file.path, originalname: sanitizeFilename(file.originalname) }));
+    for (const source of sources) {
+        const fileExtension = path.extname(source.originalname).toLowerCase();
+        // A .docx is a ZIP package as well and gets the same size and ratio limits
+        const rejection = checkFileType(source.sourcePath, fileExtension)
+            || (['.zip', '.docx'].includes(fileExtension) && inspectZip(source.sourcePath));
+        if (rejection) {
+            cleanupFiles();
+            const error = sources.length > 1 ? `${source.originalname}: ${rejection.error}` : rejection.error;
+            return res.status(rejection.status).json({ error, code: rejection.code });
+        }
+    }
 
-    if (isZipFile && !validZipMimeTypes.includes(file.mimetype)) {
-        return res.status(400).json({ error: 'Invalid ZIP file type.' });
+    // Results are named after their source, so names must be unique within a batch
+    const duplicate = sources.find((source, index) => sources.findIndex(other => other.originalname === source.originalname) !== index);
+    if (duplicate) {
+        cleanupFiles();
+        return res.status(400).json({ error: `Duplicate file name: ${duplicate.originalname}`, code: 'DUPLICATE_FILE_NAME' });
     }
 
-    // Generate a unique file ID
-    const fileId = Date.now().toString();
-    fileStatus[fileId] = { status: 'queued', uploadTime: new Date().toISOString() };
+    // Validate the requested translation provider
+    if (!hasProvider(provider)) {
+        cleanupFiles();
+        return res.status(400).json({
+            error: `Unknown translation provider: ${provider}`,
+            providers: providerNames
+        });
+    }
 
-    // Log file details
-    console.log(`Uploaded file: ${file.originalname}, size: ${file.size} bytes, type: ${file.mimetype}`);
+    // Validate the language codes
+    const invalidLanguages = targetLanguages.filter(language => !LANGUAGE_CODE_PATTERN.test(language));
+    if (invalidLanguages.length > 0) {
+        cleanupFiles();
+        return res.status(400).json({ error: `Invalid target language: ${invalidLanguages.join(', ')}` });
+    }
 
-    // Add the file processing task to the queue
-    fileQueue.add(
-        {
-            fileId,
-            filePath: file.path,
-            targetLanguage,
-            originalname: file.originalname
-        },
-        {
-            attempts: 3, // Retry up to 3 times
-            removeOnComplete: true // Remove completed jobs from queue
+    if (sourceLanguage !== 'auto' && !LANGUAGE_CODE_PATTERN.test(sourceLanguage)) {
+        cleanupFiles();
+        return res.status(400).json({ error: `Invalid source language: ${sourceLanguage}` });
+    }
+
+    if (retentionSeconds === null) {
+        cleanupFiles();
+        return res.status(400).json({ error: `retention must be a number of seconds between 1 and ${MAX_JOB_RETENTION_SECONDS}` });
+    }
+
+    if (callback.error) {
+        cleanupFiles();
+        return res.status(400).json({ error: callback.error, code: 'INVALID_CALLBACK' });
+    }
+
+    if (review.error) {
+        cleanupFiles();
+        return res.status(400).json({ error: review.error });
+    }
+
+    if (encodings.error) {
+        cleanupFiles();
+        return res.status(400).json({ error: encodings.error, code: 'UNSUPPORTED_ENCODING' });
+    }
+
+    const unsupported = await checkLanguagePairs(provider, sourceLanguage, targetLanguages);
+    if (unsupported) {
+        cleanupFiles();
+        return res.status(422).json(unsupported);
+    }
+
+    // Jobs are charged as they translate; refuse new ones once the month's quota is used up
+    const owner = req.apiKey.id;
+    try {
+        if (!(await auth.hasQuotaLeft(owner))) {
+            cleanupFiles();
+            return res.status(429).json({ error: 'Monthly character quota exhausted', code: 'QUOTA_EXCEEDED' });
         }
-    );
+    } catch (error) {
+        cleanupFiles();
+        return next(error);
+    }
+
+    // Load the attached glossaries; each must fit one of the requested language pairs
+    let glossaries;
+    try {
+        const result = await loadGlossaries(req.apiKey, parseList(req.body.glossaryId), sourceLanguage, targetLanguages);
+        if (result.error) {
+            cleanupFiles();
+            return res.status(result.status).json({ error: result.error });
+        }
+        glossaries = result.glossaries;
+    } catch (error) {
+        cleanupFiles();
+        return next(error);
+    }
+
+    // Log file details
+    files.forEach((file, index) => {
+        console.log(`Uploaded file: ${sources[index].originalname}, size: ${file.size} bytes, type: ${file.mimetype}`);
+    });
+
+    // One job per file and target language, in a new batch
+    let batch;
+    try {
+        batch = await createBatch({
+            sources,
+            sourceLanguage,
+            targetLanguages,
+            provider,
+            glossaries,
+            includeUnsupported,
+            retentionSeconds,
+            callback: callback.callback,
+            outputs: review.outputs,
+            bilingualFormat: review.bilingualFormat,
+            encoding: encodings.encoding,
+            outputEncoding: encodings.outputEncoding,
+            owner
+        });
+    } catch (error) {
+        cleanupFiles();
+        return next(error);
+    }
 
     res.json({
-        fileId,
+        batchId: batch.batchId,
+        fileId: batch.jobs[0].fileId,
+        jobs: batch.jobs.map(({ fileId, originalname, targetLanguage }) => ({ fileId, originalname, targetLanguage })),
         status: 'queued',
-        message: 'File uploaded successfully and queued for processing'
+        message: sources.length > 1
+            ? `${sources.length} files uploaded successfully and queued for translation into ${targetLanguages.length} language(s)`
+            : `File uploaded successfully and queued for translation into ${batch.jobs.length} language(s)`
+    });
+}
+
+// Endpoint to translate text snippets inline, without a file or a queued job.
+// `text` is a string or an array of strings; the response has the translations in the same shape
+app.post('/translate/text', async (req, res, next) => {
+    const { text, glossaryId } = req.body;
+    const sourceLanguage = req.body.sourceLanguage || 'auto';
+    const targetLanguage = req.body.targetLanguage;
+    const provider = req.body.provider || DEFAULT_PROVIDER;
+
+    const texts = Array.isArray(text) ? text : [text];
+    if (texts.length === 0 || texts.some(value => typeof value !== 'string')) {
+        return res.status(400).json({ error: 'text must be a string or an array of strings' });
+    }
+    if (texts.every(value => value.trim() === '')) {
+        return res.status(400).json({ error: 'No text to translate' });
+    }
+    if (texts.length > TEXT_MAX_SEGMENTS) {
+        return res.status(413).json({ error: `At most ${TEXT_MAX_SEGMENTS} texts can be translated per request`, code: 'TOO_MANY_TEXTS' });
+    }
+    const characters = texts.reduce((sum, value) => sum + value.length, 0);
+    if (characters > TEXT_MAX_CHARACTERS) {
+        return res.status(413).json({ error: `At most ${TEXT_MAX_CHARACTERS} characters can be translated per request; upload a file instead`, code: 'TEXT_TOO_LONG' });
+    }
+
+    if (!hasProvider(provider)) {
+        return res.status(400).json({
+            error: `Unknown translation provider: ${provider}`,
+            providers: providerNames
+        });
+    }
+
+    if (!targetLanguage || !LANGUAGE_CODE_PATTERN.test(targetLanguage)) {
+        return res.status(400).json({ error: `Invalid target language: ${targetLanguage || ''}` });
+    }
+
+    if (sourceLanguage !== 'auto' && !LANGUAGE_CODE_PATTERN.test(sourceLanguage)) {
+        return res.status(400).json({ error: `Invalid source language: ${sourceLanguage}` });
+    }
+
+    const unsupported = await checkLanguagePairs(provider, sourceLanguage, [targetLanguage]);
+    if (unsupported) {
+        return res.status(422).json(unsupported);
+    }
+
+    const owner = req.apiKey.id;
+    const translation = {
+        sourceLanguage,
+        targetLanguage,
+        provider,
+        fallbackProvider: FALLBACK_PROVIDER,
+        owner
+    };
+
+    try {
+        if (!(await auth.hasQuotaLeft(owner))) {
+            return res.status(429).json({ error: 'Monthly character quota exhausted', code: 'QUOTA_EXCEEDED' });
+        }
+
+        if (glossaryId) {
+            const result = await loadGlossaries(req.apiKey, [glossaryId], sourceLanguage, [targetLanguage]);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            translation.glossary = result.glossaries[0];
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    // Same pipeline as file jobs: detection, translation memory, glossary, chunking and fallback
+    let detection;
+    const termCounts = {};
+    let translations;
+    try {
+        translations = await translateSegments(texts, translation, {
+            onDetect: detected => { detection = detected; },
+            // Terms are counted per text; the response has one entry per term
+            onGlossaryApplied: applied => applied.forEach(term => {
+                const existing = termCounts[term.term];
+                termCounts[term.term] = existing ? { ...existing, count: existing.count + term.count } : { ...term };
+            })
+        });
+    } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return res.status(429).json({ error: error.message, code: 'QUOTA_EXCEEDED' });
+        }
+        console.error('Text translation failed:', error);
+        return res.status(502).json({ error: error.message, code: 'TRANSLATION_FAILED' });
+    }
+
+    res.json({
+        ...(Array.isArray(text) ? { translations } : { translation: translations[0] }),
+        sourceLanguage,
+        targetLanguage,
+        provider,
+        detectedLanguage: detection && detection.language,
+        detectionConfidence: detection && detection.confidence,
+        appliedTerms: Object.values(termCounts)
     });
 });
 
+// Endpoint to check the aggregate and per-language status of a batch
+app.get('/batch/:batchId', async (req, res, next) => {
+    try {
+        const batchStatus = await getBatchStatus(req.params.batchId, req.apiKey);
+        if (!batchStatus) {
+            return res.status(404).json({ error: 'Invalid batch ID' });
+        }
+
+        res.json(batchStatus);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint to download every finished translation of a batch as one ZIP
+app.get('/batch/:batchId/download', async (req, res, next) => {
+    const batchId = req.params.batchId;
+
+    try {
+        // Other keys' batches are reported as unknown rather than forbidden
+        const batch = await statusStore.getBatch(batchId);
+        if (!canAccess(req.apiKey, batch)) {
+            return res.status(404).json({ error: 'Invalid batch ID' });
+        }
+
+        const bundle = new AdmZip();
+        for (const fileId of batch.fileIds) {
+            const status = await statusStore.getStatus(fileId);
+            if (!status || !DOWNLOADABLE_STATUSES.includes(status.status)) continue;
+
+            // One folder per language keeps identically named outputs apart
+            for (const key of getStoredKeys(status)) {
+                if (!(await resultStorage.exists(key))) continue;
+                bundle.addFile(`${status.targetLanguage}/${path.basename(key)}`, await resultStorage.read(key));
+            }
+        }
+
+        if (bundle.getEntries().length === 0) {
+            return res.status(400).json({ error: 'No completed translations in this batch yet' });
+        }
+
+        const baseName = batch.files && batch.files.length > 1
+            ? 'batch'
+            : path.basename(batch.originalname, path.extname(batch.originalname));
+        res.attachment(`${baseName}_translations_${batchId}.zip`);
+        res.send(bundle.toBuffer());
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint to stream the aggregate status of a batch as Server-Sent Events
+app.get('/batch/:batchId/stream', async (req, res, next) => {
+    const batchId = req.params.batchId;
+
+    let batch;
+    try {
+        batch = await statusStore.getBatch(batchId);
+        if (!canAccess(req.apiKey, batch)) {
+            return res.status(404).json({ error: 'Invalid batch ID' });
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    streamStatus(req, res, batch.fileIds, () => getBatchStatus(batchId, req.apiKey));
+});
+
 // Endpoint to check file status
-app.get('/status/:fileId', (req, res) => {
+app.get('/status/:fileId', async (req, res, next) => {
     const fileId = req.params.fileId;
 
-    if (!fileStatus[fileId]) {
-        return res.status(404).json({ error: 'Invalid file ID' });
+    try {
+        const status = await statusStore.getStatus(fileId);
+        if (!canAccess(req.apiKey, status)) {
+            return res.status(404).json({ error: 'Invalid file ID' });
+        }
+
+        res.json(status);
+    } catch (error) {
+        next(error);
     }
+});
+
+// Endpoint to stream a job's status as Server-Sent Events until it finishes
+app.get('/status/:fileId/stream', async (req, res, next) => {
+    const fileId = req.params.fileId;
 
-    res.json(fileStatus[fileId]);
+    try {
+        const status = await statusStore.getStatus(fileId);
+        if (!canAccess(req.apiKey, status)) {
+            return res.status(404).json({ error: 'Invalid file ID' });
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    streamStatus(req, res, [fileId], () => statusStore.getStatus(fileId));
+});
+
+// Endpoint to list the caller's jobs, newest first (admins see every job).
+// Filters: `status` and `language` (target language), both repeatable or comma separated
+app.get('/jobs', async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 20, 1), 100);
+    const statuses = parseList(req.query.status);
+    const languages = parseList(req.query.language);
+
+    try {
+        // Filtering and paging happen on the history indexes; only the page's statuses are read
+        const { fileIds, total } = await statusStore.listJobs(req.apiKey.admin ? null : req.apiKey.id, {
+            statuses,
+            languages,
+            offset: (page - 1) * pageSize,
+            limit: pageSize
+        });
+        const statusList = await Promise.all(fileIds.map(fileId => statusStore.getStatus(fileId)));
+
+        res.json({
+            jobs: fileIds
+                .map((fileId, index) => statusList[index] && summarizeJob(fileId, statusList[index]))
+                .filter(Boolean),
+            total,
+            page,
+            pageSize
+        });
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Endpoint to download the translated file
-app.get('/download/:fileId', (req, res) => {
+// Endpoint to queue a failed, cancelled or partially translated job again
+app.post('/jobs/:fileId/retry', async (req, res, next) => {
     const fileId = req.params.fileId;
 
-    if (!fileStatus[fileId]) {
-        return res.status(404).json({ error: 'Invalid file ID' });
+    try {
+        const status = await statusStore.getStatus(fileId);
+        if (!canAccess(req.apiKey, status)) {
+            return res.status(404).json({ error: 'Invalid file ID' });
+        }
+        if (!RETRYABLE_STATUSES.includes(status.status)) {
+            return res.status(409).json({ error: `Only failed, cancelled or partial jobs can be retried; this job is ${status.status}` });
+        }
+        if (!status.sourceFile || !fs.existsSync(status.sourceFile)) {
+            return res.status(410).json({ error: 'The uploaded file is no longer available; upload it again' });
+        }
+        // A retry translates the file again, so it needs quota left like a new upload
+        if (!(await auth.hasQuotaLeft(status.owner))) {
+            return res.status(429).json({ error: 'Monthly character quota exhausted', code: 'QUOTA_EXCEEDED' });
+        }
+
+        // Start over from the original upload, dropping the previous attempt's progress
+        const jobStatus = {
+            status: 'queued',
+            batchId: status.batchId,
+            originalname: status.originalname,
+            sourceFile: status.sourceFile,
+            sourceLanguage: status.sourceLanguage,
+            targetLanguage: status.targetLanguage,
+            provider: status.provider,
+            glossaryId: status.glossaryId,
+            includeUnsupported: status.includeUnsupported,
+            retentionSeconds: status.retentionSeconds,
+            outputs: status.outputs,
+            bilingualFormat: status.bilingualFormat,
+            encoding: status.encoding,
+            outputEncoding: status.outputEncoding,
+            owner: status.owner,
+            uploadTime: status.uploadTime,
+            retryTime: new Date().toISOString()
+        };
+        // A partial result is replaced by the new one
+        for (const key of getStoredKeys(status)) {
+            await resultStorage.remove(key);
+        }
+        await statusStore.setStatus(fileId, jobStatus);
+        await queueTranslationJob(fileId, jobStatus);
+
+        res.status(202).json({ fileId, status: 'queued' });
+    } catch (error) {
+        next(error);
     }
+});
 
-    if (fileStatus[fileId].status !== 'completed') {
-        return res.status(400).json({
-            error: 'File processing not completed',
-            status: fileStatus[fileId].status
+// Endpoint to cancel a job. Queued jobs are removed from the queue; running
+// jobs stop cooperatively before their next segment
+app.delete('/jobs/:fileId', async (req, res, next) => {
+    const fileId = req.params.fileId;
+
+    try {
+        const status = await statusStore.getStatus(fileId);
+        if (!canAccess(req.apiKey, status)) {
+            return res.status(404).json({ error: 'Invalid file ID' });
+        }
+        if (TERMINAL_STATUSES.includes(status.status)) {
+            return res.status(409).json({ error: `Job has already finished (${status.status})` });
+        }
+
+        const queueJob = status.queueJobId && await fileQueue.getJob(status.queueJobId);
+        if (queueJob && REMOVABLE_QUEUE_STATES.includes(await queueJob.getState())) {
+            try {
+                await queueJob.remove();
+                await statusStore.updateStatus(fileId, {
+                    status: 'cancelled',
+                    step: 'Cancelled',
+                    cancelledTime: new Date().toISOString(),
+                    expiresAt: getExpiryTime(status.retentionSeconds)
+                });
+                return res.json({ fileId, status: 'cancelled' });
+            } catch (error) {
+                // A worker picked the job up in the meantime; cancel it cooperatively instead
+                console.warn(`Could not remove queued job ${fileId}: ${error.message}`);
+            }
+        }
+
+        await statusStore.updateStatus(fileId, { cancelRequested: true, step: 'Cancelling' });
+        res.status(202).json({ fileId, status: 'cancelling' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Endpoint to translate the source of a finished job again, into another target
+// language and optionally with another provider or glossary. Creates a new batch
+app.post('/jobs/:fileId/rerun', async (req, res, next) => {
+    const fileId = req.params.fileId;
+    const targetLanguage = req.body.targetLanguage || req.body.language;
+
+    if (!targetLanguage || !LANGUAGE_CODE_PATTERN.test(targetLanguage)) {
+        return res.status(400).json({ error: `Invalid target language: ${targetLanguage || '(none)'}` });
+    }
+
+    try {
+        const status = await statusStore.getStatus(fileId);
+        if (!canAccess(req.apiKey, status)) {
+            return res.status(404).json({ error: 'Invalid file ID' });
+        }
+        if (!TERMINAL_STATUSES.includes(status.status)) {
+            return res.status(409).json({ error: `Job is still ${status.status}; wait for it to finish or cancel it first` });
+        }
+        if (!status.sourceFile || !fs.existsSync(status.sourceFile)) {
+            return res.status(410).json({ error: 'The uploaded file is no longer available; upload it again' });
+        }
+
+        const provider = req.body.provider || status.provider;
+        if (!hasProvider(provider)) {
+            return res.status(400).json({ error: `Unknown translation provider: ${provider}`, providers: providerNames });
+        }
+
+        const unsupported = await checkLanguagePairs(provider, status.sourceLanguage || 'auto', [targetLanguage]);
+        if (unsupported) {
+            return res.status(422).json(unsupported);
+        }
+
+        const retentionSeconds = req.body.retention === undefined
+            ? status.retentionSeconds || JOB_RETENTION_SECONDS
+            : parseRetention(req.body.retention);
+        if (retentionSeconds === null) {
+            return res.status(400).json({ error: `retention must be a number of seconds between 1 and ${MAX_JOB_RETENTION_SECONDS}` });
+        }
+
+        // Without a new callbackUrl the re-run reports to the original upload's callback
+        let callback;
+        if (req.body.callbackUrl === undefined) {
+            const batch = await statusStore.getBatch(status.batchId);
+            callback = batch && batch.callbackUrl ? { url: batch.callbackUrl, secret: batch.callbackSecret } : undefined;
+        } else {
+            const parsed = parseCallback(req.body);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error, code: 'INVALID_CALLBACK' });
+            }
+            callback = parsed.callback;
+        }
+
+        // Review exports are re-created unless the request asks for others
+        const review = req.body.outputs === undefined
+            ? { outputs: status.outputs, bilingualFormat: status.bilingualFormat }
+            : parseReviewOptions(req.body);
+        if (review.error) {
+            return res.status(400).json({ error: review.error });
+        }
+
+        // The input encoding override is kept; the output encoding may be changed
+        const encodings = parseEncodingOptions(req.body, { encoding: status.encoding, outputEncoding: status.outputEncoding });
+        if (encodings.error) {
+            return res.status(400).json({ error: encodings.error, code: 'UNSUPPORTED_ENCODING' });
+        }
+
+        const owner = req.apiKey.id;
+        if (!(await auth.hasQuotaLeft(owner))) {
+            return res.status(429).json({ error: 'Monthly character quota exhausted', code: 'QUOTA_EXCEEDED' });
+        }
+
+        const glossaryResult = await loadGlossaries(req.apiKey, parseList(req.body.glossaryId), status.sourceLanguage, [targetLanguage]);
+        if (glossaryResult.error) {
+            return res.status(glossaryResult.status).json({ error: glossaryResult.error });
+        }
+
+        const batch = await createBatch({
+            sources: [{ sourcePath: status.sourceFile, originalname: status.originalname }],
+            copySource: true, // The original job keeps its own source
+            sourceLanguage: status.sourceLanguage,
+            targetLanguages: [targetLanguage],
+            provider,
+            glossaries: glossaryResult.glossaries,
+            includeUnsupported: status.includeUnsupported,
+            retentionSeconds,
+            callback,
+            outputs: review.outputs,
+            bilingualFormat: review.bilingualFormat,
+            encoding: encodings.encoding,
+            outputEncoding: encodings.outputEncoding,
+            owner
+        });
+
+        res.status(202).json({
+            batchId: batch.batchId,
+            fileId: batch.jobs[0].fileId,
+            status: 'queued',
+            rerunOf: fileId
         });
+    } catch (error) {
+        next(error);
     }
+});
 
-    const translatedFilePath = fileStatus[fileId].translatedFile;
+// Endpoint to download the translated file, or one of the job's review exports
+// (`/download/:fileId/bilingual`, `/download/:fileId/xliff`)
+app.get(['/download/:fileId', '/download/:fileId/:output'], async (req, res, next) => {
+    const { fileId, output } = req.params;
 
-    if (!fs.existsSync(translatedFilePath)) {
-        return res.status(404).json({ error: 'Translated file not found' });
+    if (output && !REVIEW_OUTPUTS.includes(output)) {
+        return res.status(404).json({ error: `Unknown output: ${output}`, outputs: REVIEW_OUTPUTS });
     }
 
-    // Set appropriate headers for download
-    const filename = path.basename(translatedFilePath);
-    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    let status;
+    try {
+        status = await statusStore.getStatus(fileId);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!canAccess(req.apiKey, status)) {
+        return res.status(404).json({ error: 'Invalid file ID' });
+    }
+
+    if (status.status === 'expired') {
+        return res.status(410).json({ error: 'Translated file has expired', expiredTime: status.expiredTime });
+    }
+
+    if (!DOWNLOADABLE_STATUSES.includes(status.status)) {
+        return res.status(400).json({
+            error: 'File processing not completed',
+            status: status.status
+        });
+    }
 
-    // Set content type based on file extension
-    const ext = path.extname(translatedFilePath).toLowerCase();
-    if (ext === '.zip') {
-        res.set('Content-Type', 'application/zip');
-    } else if (ext === '.txt') {
-        res.set('Content-Type', 'text/plain');
-    } else if (ext === '.docx') {
-        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
-    } else if (ext === '.pdf') {
-        res.set('Content-Type', 'application/pdf');
+    const key = output ? (status.outputKeys || {})[output] : status.resultKey;
+    if (output && !key) {
+        return res.status(404).json({ error: `No ${output} export was requested for this job` });
     }
 
-    res.download(translatedFilePath, (err) => {
-        if (err) {
-            console.error(`Error downloading file ${fileId}:`, err);
-            // Don't attempt to send another response here as one has already been started
+    try {
+        if (!key || !(await resultStorage.exists(key))) {
+            return res.status(404).json({ error: 'Translated file not found' });
         }
-    });
+        await sendDownload(res, resultStorage, key);
+    } catch (error) {
+        next(error);
+    }
 });
 
 // Process files in the background
 fileQueue.process(async (job) => {
-    const { fileId, filePath, targetLanguage, originalname } = job.data;
-
+    const { fileId, filePath, sourceLanguage, targetLanguage, originalname, provider, glossaryId, includeUnsupported, retentionSeconds, outputs, bilingualFormat, encoding, outputEncoding, owner } = job.data;
+    const translation = {
+        sourceLanguage: sourceLanguage || 'auto',
+        targetLanguage,
+        provider: provider || DEFAULT_PROVIDER,
+        fallbackProvider: FALLBACK_PROVIDER,
+        owner,
+        // Plain text files: the input encoding (detected when unset) and the one to write
+        encoding,
+        outputEncoding: outputEncoding || DEFAULT_OUTPUT_ENCODING,
+        checkCancelled: createCancellationCheck(fileId),
+        // Source and translated segments for the review exports, when requested
+        review: outputs && outputs.length > 0 ? createReview() : null
+    };
+
+    // The source stays in place after the job so it can be retried or re-run;
+    // the periodic cleanup removes it with the result once the retention is over
     try {
+        // A job cancelled while Bull was already handing it out stops here
+        await translation.checkCancelled();
+
+        if (glossaryId) {
+            translation.glossary = await glossaryStore.get(glossaryId);
+            if (!translation.glossary) {
+                throw new Error(`Glossary ${glossaryId} no longer exists`);
+            }
+        }
+
         // Update status to processing
-        fileStatus[fileId] = {
-            ...fileStatus[fileId],
+        await updateFileStatus(fileId, {
             status: 'processing',
-            startTime: new Date().toISOString()
-        };
+            startTime: new Date().toISOString(),
+            cacheHits: 0,
+            cacheMisses: 0
+        });
 
         console.log(`Processing file ${fileId}: ${originalname}`);
         let translatedFilePath;
+        let results = [];
 
         const isZipFile = originalname.endsWith('.zip');
         if (isZipFile) {
-            translatedFilePath = await processZip(filePath, targetLanguage, fileId);
+            ({ translatedFilePath, results } = await processZip(filePath, translation, fileId, { includeUnsupported }));
         } else {
-            translatedFilePath = await processSingleFile(filePath, targetLanguage, originalname, fileId);
+            translatedFilePath = await processSingleFile(filePath, translation, originalname, fileId);
         }
 
-        // Update the file status
-        fileStatus[fileId] = {
-            ...fileStatus[fileId],
-            status: 'completed',
-            translatedFile: translatedFilePath,
-            completedTime: new Date().toISOString()
-        };
+        // Hand the result over to the configured storage, one folder per job
+        const resultKey = `${fileId}/${path.basename(translatedFilePath)}`;
+        await resultStorage.put(resultKey, translatedFilePath);
+
+        let outputKeys;
+        if (translation.review) {
+            await updateFileStatus(fileId, { step: 'Writing review exports' });
+            const detectedLanguage = await statusStore.getStatusField(fileId, 'detectedLanguage');
+            const written = writeReviewOutputs(translation.review, {
+                outputs,
+                bilingualFormat,
+                basePath: translatedFilePath.slice(0, translatedFilePath.length - path.extname(translatedFilePath).length),
+                sourceLanguage: sourceLanguage !== 'auto' ? sourceLanguage : detectedLanguage || 'und',
+                targetLanguage
+            });
+            outputKeys = {};
+            for (const [output, outputPath] of Object.entries(written)) {
+                outputKeys[output] = `${fileId}/${path.basename(outputPath)}`;
+                await resultStorage.put(outputKeys[output], outputPath);
+            }
+        }
+
+        // A ZIP where some entries failed still has a download, but is only partially done
+        const partial = results.some(result => result.status === 'failed');
+        await updateFileStatus(fileId, {
+            status: partial ? 'partial' : 'completed',
+            resultKey,
+            outputKeys,
+            completedTime: new Date().toISOString(),
+            expiresAt: getExpiryTime(retentionSeconds)
+        });
 
         console.log(`Completed processing file ${fileId}: ${originalname}`);
-        return { success: true, translatedFilePath };
+        await notifyJobFinished(fileId);
+        return { success: true, resultKey };
     } catch (error) {
+        // Cancelled jobs end normally so Bull doesn't retry them
+        if (error.cancelled) {
+            console.log(`Cancelled processing file ${fileId}: ${originalname}`);
+            await updateFileStatus(fileId, {
+                status: 'cancelled',
+                step: 'Cancelled',
+                cancelledTime: new Date().toISOString(),
+                expiresAt: getExpiryTime(retentionSeconds)
+            });
+            return { success: false, cancelled: true };
+        }
+
         console.error(`Error processing file ${fileId}:`, error);
-        fileStatus[fileId] = {
-            ...fileStatus[fileId],
+        // Only the last attempt is final; earlier failures are retried by Bull
+        const willRetry = job.attemptsMade + 1 < (job.opts.attempts || 1);
+        await updateFileStatus(fileId, willRetry ? {
+            status: 'retrying',
+            step: 'Retrying after an error',
+            error: error.message
+        } : {
             status: 'failed',
             error: error.message,
-            failedTime: new Date().toISOString()
-        };
+            failedTime: new Date().toISOString(),
+            expiresAt: getExpiryTime(retentionSeconds)
+        });
         throw error; // Re-throw to trigger Bull's retry mechanism
     } finally {
-        // Clean up the uploaded file
-        cleanupFile(filePath);
+        // Whatever was not handed over to the result storage is discarded
+        removeStagingDir(fileId);
     }
 });
 
 // Handle queue errors
 fileQueue.on('failed', (job, err) => {
     console.error(`Job ${job.id} failed with error: ${err.message}`);
-    const { fileId } = job.data;
-    if (fileStatus[fileId]) {
-        fileStatus[fileId].status = 'failed';
-        fileStatus[fileId].error = err.message;
-    }
+    if (job.attemptsMade < (job.opts.attempts || 1)) return; // Will be retried
+
+    const { fileId, retentionSeconds } = job.data;
+    updateFileStatus(fileId, { status: 'failed', error: err.message, expiresAt: getExpiryTime(retentionSeconds) })
+        .then(() => notifyJobFinished(fileId));
 });
 
-// Function to translate text using LibreTranslate
-async function translateText(text, targetLanguage) {
+// Function to translate a batch of chunks in one provider request, retrying transient
+// errors and falling back to the secondary provider when the primary one keeps failing.
+// Chunks found in the translation memory are not sent again
+async function translateChunks(texts, translation, onCacheResult) {
+    const { sourceLanguage, targetLanguage, provider, fallbackProvider } = translation;
+    const segments = texts.map(text => ({ text, provider, source: sourceLanguage, target: targetLanguage }));
+
+    // Reuse earlier translations of the same segments where there are any
+    const results = await Promise.all(segments.map(lookupTranslationMemory));
+    if (onCacheResult) results.forEach(remembered => onCacheResult(remembered !== null));
+    const missing = results.map((remembered, i) => (remembered === null ? i : null)).filter(i => i !== null);
+    if (missing.length === 0) return results;
+
+    const missingTexts = missing.map(i => texts[i]);
+    const request = (providerName) => withRetry(
+        async () => {
+            const translated = await getProvider(providerName).translateBatch(missingTexts, { source: sourceLanguage, target: targetLanguage });
+            if (!Array.isArray(translated) || translated.length !== missingTexts.length) {
+                throw new Error(`${providerName} returned ${Array.isArray(translated) ? translated.length : 'no'} translations for ${missingTexts.length} texts`);
+            }
+            return translated;
+        },
+        {
+            retries: TRANSLATION_RETRIES,
+            delayMs: TRANSLATION_RETRY_DELAY,
+            shouldRetry: error => error.retryable
+        }
+    );
+
+    let translated;
+    let servedBy = provider;
+    try {
+        translated = await request(provider);
+    } catch (error) {
+        if (!fallbackProvider || fallbackProvider === provider) throw error;
+        console.warn(`Provider ${provider} failed (${error.message}), falling back to ${fallbackProvider}`);
+        servedBy = fallbackProvider;
+        translated = await request(fallbackProvider);
+    }
+
+    // Only text a provider actually translated counts towards the API key's monthly
+    // quota. Failed attempts are not charged, and with the translation memory on a Bull
+    // retry of the job reuses the segments charged here instead of paying for them again
+    if (translation.owner) {
+        await auth.consumeCharacters(translation.owner, missingTexts.reduce((sum, text) => sum + text.length, 0));
+    }
+
+    await Promise.all(missing.map((index, i) => {
+        results[index] = translated[i];
+        return storeTranslationMemory({ ...segments[index], provider: servedBy }, translated[i]);
+    }));
+    return results;
+}
+
+// Function to look up a segment in the translation memory. The memory is an
+// optimisation only, so Redis errors are logged and treated as a miss
+async function lookupTranslationMemory(segment) {
+    if (!TRANSLATION_MEMORY_ENABLED) return null;
+
+    try {
+        return await translationMemory.lookup(segment);
+    } catch (error) {
+        console.error('Translation memory lookup failed:', error.message);
+        return null;
+    }
+}
+
+// Function to store a translated segment in the translation memory
+async function storeTranslationMemory(segment, translated) {
+    if (!TRANSLATION_MEMORY_ENABLED) return;
+
+    try {
+        await translationMemory.store(segment, translated);
+    } catch (error) {
+        console.error('Translation memory store failed:', error.message);
+    }
+}
+
+// Function to translate a list of texts, splitting each into size-limited chunks
+// that are packed into batches and translated with bounded concurrency and per-batch retry.
+// `translation` holds { sourceLanguage, targetLanguage, provider, fallbackProvider } and
+// optionally `checkCancelled()`, awaited before every batch;
+// `hooks.onProgress(completedChunks, totalChunks)` is called after every batch and
+// `hooks.onDetect({ language, confidence })` when the source language is auto-detected
+// `hooks.onCacheResult(hit)` after every translation memory lookup,
+// `hooks.onGlossaryApplied(terms)` with the glossary terms enforced in the texts and
+// `hooks.onCharacterCount(sourceCharacters, translatedCharacters)` once every text is done
+async function translateSegments(texts, translation, hooks = {}) {
+    const { onProgress, onDetect, onCacheResult, onGlossaryApplied, onSegments, onCharacterCount } = hooks;
+
+    // Detect the source once so every chunk of the document uses the same language
+    let sourceLanguage = translation.sourceLanguage || 'auto';
+    if (sourceLanguage === 'auto') {
+        const detection = await detectLanguage(texts.join('\n'), translation.provider);
+        if (detection) {
+            if (onDetect) onDetect(detection);
+            if (detection.confidence >= DETECTION_MIN_CONFIDENCE) sourceLanguage = detection.language;
+        }
+    }
+    const chunkTranslation = { ...translation, sourceLanguage };
+
+    // Glossary terms are swapped for placeholders the provider leaves alone
+    const protectedTexts = texts.map(text =>
+        translation.glossary && text ? protectTerms(text, translation.glossary) : { text, matches: [] }
+    );
+
+    const jobs = protectedTexts.map(({ text }) =>
+        text && text.trim() !== '' ? splitIntoChunks(text, TRANSLATION_CHUNK_SIZE) : null
+    );
+    const chunks = jobs.flatMap(job => (job ? job.chunks : []));
+    const batches = packBatches(chunks, TRANSLATION_CHUNK_SIZE, TRANSLATION_BATCH_SEGMENTS);
+    let completed = 0;
+
+    const translatedBatches = await runWithConcurrency(batches, TRANSLATION_CONCURRENCY, async (batch) => {
+        if (translation.checkCancelled) await translation.checkCancelled();
+        const translated = await translateChunks(batch.map(chunk => chunk.text), chunkTranslation, onCacheResult);
+        completed += batch.length;
+        if (onProgress) onProgress(completed, chunks.length);
+        return translated;
+    });
+    const translatedChunks = translatedBatches.flat();
+
+    // Reassemble every text from its own chunks, in order, then restore glossary terms
+    let offset = 0;
+    const applied = [];
+    const results = jobs.map((job, i) => {
+        if (!job) return ''; // Return empty string for empty content
+        const translated = translatedChunks.slice(offset, offset + job.chunks.length);
+        offset += job.chunks.length;
+
+        const restored = restoreTerms(joinChunks(job.prefix, job.chunks, translated), protectedTexts[i]);
+        applied.push(...restored.applied);
+        return restored.text;
+    });
+
+    if (onGlossaryApplied) onGlossaryApplied(applied);
+    if (onSegments) onSegments(texts, results);
+    if (onCharacterCount) {
+        onCharacterCount(
+            texts.reduce((sum, text) => sum + (text ? text.length : 0), 0),
+            results.reduce((sum, text) => sum + text.length, 0)
+        );
+    }
+    return results;
+}
+
+// Function to translate text with the configured provider
+async function translateText(text, translation, hooks) {
     if (!text || text.trim() === '') {
         return ''; // Return empty string for empty content
     }
 
+    const [translated] = await translateSegments([text], translation, hooks);
+    return translated;
+}
+
+// Function to detect the language of a text sample. Detection is best effort:
+// on failure the provider is simply left to auto-detect per request
+async function detectLanguage(text, provider) {
+    const sample = text.trim().slice(0, DETECTION_SAMPLE_SIZE);
+    if (!sample) return null;
+
     try {
-        const response = await axios.post(`${LIBRETRANSLATE_URL}/translate`, {
-            q: text,
-            source: 'auto',
-            target: targetLanguage,
+        return await getProvider(provider).detect(sample);
+    } catch (error) {
+        console.warn(`Language detection with ${provider} failed: ${error.message}`);
+        return null;
+    }
+}
+
+// Function to extract the plain text of a document, used for language detection
+async function extractText(inputPath, fileExtension) {
+    if (fileExtension === '.txt') {
+        return decodeText(fs.readFileSync(inputPath)).text;
+    } else if (fileExtension === '.docx') {
+        return extractDocxText(inputPath);
+    } else if (fileExtension === '.pdf') {
+        const pages = await extractPdfPages(inputPath, { recognizePage: pageNumber => recognizePdfPage(inputPath, pageNumber) });
+        return pages.map(page => page.text).join('\n');
+    } else if (isTextFormat(fileExtension)) {
+        return extractTextFormat(fs.readFileSync(inputPath, 'utf8'), fileExtension);
+    } else if (isImage(fileExtension)) {
+        return (await recognizeImage(inputPath)).text;
+    }
+    throw new Error(`Unsupported file format: ${fileExtension}`);
+}
+
+// Function to get the extension of a document's translation. Text read from
+// images by OCR is written as plain text
+function getOutputExtension(fileExtension) {
+    return isImage(fileExtension) ? '.txt' : fileExtension;
+}
+
+// Function to translate a document into a new file of the same format (images
+// into plain text, see getOutputExtension). Plain text files report their input and
+// output encodings to `hooks.onEncoding`; text read by OCR is reported to
+// `hooks.onOcr({ pages, confidence })`, with the recognised page numbers of PDFs
+async function translateDocument(inputPath, outputPath, fileExtension, translation, hooks) {
+    if (fileExtension === '.txt') {
+        const { onEncoding, ...textHooks } = hooks || {};
+        const input = decodeText(fs.readFileSync(inputPath), translation.encoding);
+        if (input.text.trim() === '') {
+            throw new Error('File contains no text to translate');
+        }
+
+        // 'source' writes the translation back in the input's encoding, byte order mark included
+        const keepSource = translation.outputEncoding === 'source';
+        const output = encodeText(
+            await translateText(input.text, translation, textHooks),
+            keepSource ? input.encoding : translation.outputEncoding,
+            { bom: keepSource && input.bom }
+        );
+        fs.writeFileSync(outputPath, output.buffer);
+        if (onEncoding) onEncoding({ encoding: input.encoding, confidence: input.confidence, outputEncoding: output.encoding });
+    } else if (fileExtension === '.docx') {
+        // DOCX is translated run by run inside the package so formatting survives
+        await translateDocx(inputPath, outputPath, texts => translateSegments(texts, translation, hooks));
+    } else if (fileExtension === '.pdf') {
+        // PDF pages are translated as one batch and written back one page per source page.
+        // Pages without a text layer are scanned and read by OCR first
+        const { onOcr, ...pdfHooks } = hooks || {};
+        const pages = await extractPdfPages(inputPath, {
+            recognizePage: async (pageNumber) => {
+                if (translation.checkCancelled) await translation.checkCancelled();
+                return recognizePdfPage(inputPath, pageNumber, { sourceLanguage: translation.sourceLanguage });
+            }
         });
-        return response.data.translatedText;
-    } catch (error) {
-        console.error('Translation failed:', error.message);
-        // More detailed error message
-        if (error.response) {
-            throw new Error(`Translation service error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
-        } else if (error.request) {
-            throw new Error('Translation service unavailable - no response received');
-        } else {
-            throw new Error(`Translation error: ${error.message}`);
+        const scanned = pages.filter(page => page.ocr);
+        if (scanned.length > 0 && onOcr) {
+            onOcr({
+                pages: pages.map((page, i) => (page.ocr ? i + 1 : null)).filter(Boolean),
+                confidence: getMeanConfidence(scanned.map(page => page.confidence))
+            });
+        }
+        const translatedTexts = await translateSegments(pages.map(page => page.text), translation, pdfHooks);
+        await writeTranslatedPdf(pages.map((page, i) => ({ ...page, text: translatedTexts[i] })), outputPath);
+    } else if (isImage(fileExtension)) {
+        // Scans and photos are read by OCR; the translation is written as plain text
+        const { onOcr, ...imageHooks } = hooks || {};
+        const { text, confidence } = await recognizeImage(inputPath, { sourceLanguage: translation.sourceLanguage });
+        if (onOcr) onOcr({ confidence });
+        if (text.trim() === '') {
+            throw new Error('No text could be recognised in the image');
         }
+        fs.writeFileSync(outputPath, await translateText(text, translation, imageHooks));
+    } else if (isTextFormat(fileExtension)) {
+        // Markdown, HTML, subtitles and localization files: only their text is sent, the structure is rebuilt around it
+        // Segments are reported with their markup restored rather than as placeholders
+        const { onSegments, ...segmentHooks } = hooks || {};
+        const content = fs.readFileSync(inputPath, 'utf8');
+        const translated = await translateTextFormat(content, fileExtension, texts => translateSegments(texts, translation, segmentHooks), {
+            targetLanguage: translation.targetLanguage,
+            onSegments
+        });
+        fs.writeFileSync(outputPath, translated);
+    } else {
+        throw new Error(`Unsupported file format: ${fileExtension}`);
     }
+    return outputPath;
 }
 
 // Function to process a single file
@@ -334,66 +1256,44 @@ async function translateText(text, targetLanguage) {
 
 
 
-async function processSingleFile(filePath, targetLanguage, originalname, fileId) {
+async function processSingleFile(filePath, translation, originalname, fileId) {
+    const { targetLanguage } = translation;
     const fileExtension = path.extname(originalname).toLowerCase();
-    let content;
-
-    // Update status: Start processing
-    updateFileStatus(fileId, {
-        step: `Processing ${originalname}`,
-        progress: 0,
-        totalFiles: 1, // Only one file is being processed
-        current: 0
-    });
-
-    try {
-        // Step 1: Extract content
-        updateFileStatus(fileId, {
-            step: `Extracting content from ${fileExtension} file`,
-            progress: 25, // 25% progress
-            current: 1
-        });
-
-        if (fileExtension === '.txt') {
-            content = fs.readFileSync(filePath, 'utf8');
-        } else if (fileExtension === '.docx') {
-            const result = await mammoth.extractRawText({ path: filePath });
-            content = result.value;
-
-            if (!content || content.trim() === '') {
-                throw new Error('Failed to extract text from DOCX file');
-            }
-        } else if (fileExtension === '.pdf') {
-            const pdfBytes = fs.readFileSync(filePath);
-            const pdfDoc = await PDFDocument.load(pdfBytes);
-
-            // Placeholder for PDF text extraction
-            content = `PDF file content placeholder. Please use a proper PDF extraction library.`;
-        } else {
-            throw new Error(`Unsupported file format: ${fileExtension}`);
-        }
-
-        // Step 2: Translate content
-        updateFileStatus(fileId, {
-            step: 'Translating content',
-            progress: 50, // 50% progress
-            current: 1
-        });
 
-        const translatedContent = await translateText(content, targetLanguage);
+    // Update status: Start processing
+    updateFileStatus(fileId, {
+        step: `Processing ${originalname}`,
+        progress: 0,
+        totalFiles: 1, // Only one file is being processed
+        current: 0
+    });
 
-        // Step 3: Save translated content
+    try {
+        // Step 1: Extract and translate content, reporting progress per chunk
         updateFileStatus(fileId, {
-            step: 'Saving translated content',
-            progress: 75, // 75% progress
+            step: `Extracting content from ${fileExtension} file`,
+            progress: 0,
             current: 1
         });
 
-        const translatedFilename = `${path.basename(originalname, fileExtension)}_translated_to_${targetLanguage}${fileExtension}`;
-        const translatedFilePath = path.join(TRANSLATED_FOLDER, translatedFilename);
-        fs.writeFileSync(translatedFilePath, translatedContent);
+        const onProgress = (completedChunks, totalChunks) => {
+            updateFileStatus(fileId, {
+                step: `Translating content (${completedChunks}/${totalChunks} chunks)`,
+                progress: Math.round((completedChunks / totalChunks) * 95), // Last 5% is saving the output
+                completedChunks,
+                totalChunks
+            });
+        };
+
+        const translatedFilename = `${path.basename(originalname, fileExtension)}_translated_to_${targetLanguage}${getOutputExtension(fileExtension)}`;
+        const translatedFilePath = path.join(getStagingDir(fileId), translatedFilename);
+        const hooks = createStatusHooks(fileId, onProgress);
+        if (translation.review) {
+            hooks.onSegments = (sources, targets) => addReviewSegments(translation.review, originalname, sources, targets);
+        }
+        await translateDocument(filePath, translatedFilePath, fileExtension, translation, hooks);
 
-        // Step 4: Complete
+        // Step 2: Complete
         updateFileStatus(fileId, {
             step: 'Translation complete',
             progress: 100, // 100% progress
@@ -402,6 +1302,9 @@ async function processSingleFile(filePath, targetLanguage, originalname, fileId)
 
         return translatedFilePath;
     } catch (error) {
+        // Cancellation is passed on untouched so the job ends as cancelled, not retried
+        if (error.cancelled) throw error;
+
         console.error(`Error processing file ${originalname}:`, error);
         updateFileStatus(fileId, {
             step: `Error processing file: ${error.message}`,
@@ -413,7 +1316,9 @@ async function processSingleFile(filePath, targetLanguage, originalname, fileId)
 }
 
 // Function to process a ZIP file
-async function processZip(zipPath, targetLanguage, fileId) {
+async function processZip(zipPath, translation, fileId, options = {}) {
+    const { targetLanguage } = translation;
+
     // Validate the ZIP file first
     try {
         // Check if file exists and has content
@@ -436,15 +1341,21 @@ async function processZip(zipPath, targetLanguage, fileId) {
             throw new Error('ZIP file is empty or invalid');
         }
 
-        // Create a unique temp directory for this job
-        const tempDir = path.join(TEMP_FOLDER, fileId);
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
+        // Uploads are checked already; check again so no job extracts an unchecked archive
+        const rejection = inspectZip(zipPath);
+        if (rejection) {
+            throw new Error(rejection.error);
         }
 
-        const translatedFiles = [];
+        // Entries are extracted into the job's own staging directory
+        const tempDir = getStagingDir(fileId);
+
+        const translatedZip = new AdmZip();
+        const results = []; // One entry per file in the archive, kept in the job status
+        const termCounts = {}; // Glossary terms applied across all entries
         const totalFiles = zipEntries.filter(entry => !entry.isDirectory).length;
         let processedFiles = 0;
+        let translatedCount = 0;
 
         updateFileStatus(fileId, {
             step: `Processing ZIP file with ${totalFiles} files`,
@@ -452,130 +1363,643 @@ async function processZip(zipPath, targetLanguage, fileId) {
             totalFiles
         });
 
-        for (const entry of zipEntries) {
-            if (entry.isDirectory) continue;
+        for (const [entryIndex, entry] of zipEntries.entries()) {
+            const entryName = sanitizeEntryName(entry.entryName);
 
-            try {
-                const fileExtension = path.extname(entry.entryName).toLowerCase();
-                let content;
-                const entryName = entry.entryName;
+            // Keep (empty) folders so the output mirrors the input's directory tree
+            if (entry.isDirectory) {
+                translatedZip.addFile(entryName, Buffer.alloc(0));
+                continue;
+            }
 
-                // Skip files we can't process
-                if (!['.txt', '.docx', '.pdf'].includes(fileExtension)) {
+            if (translation.checkCancelled) await translation.checkCancelled();
+
+            const fileExtension = path.extname(entryName).toLowerCase();
+            const fileIndex = processedFiles++;
+            updateFileStatus(fileId, {
+                step: `Processing ${entryName}`,
+                current: processedFiles,
+                progress: Math.round((fileIndex / totalFiles) * 100)
+            });
+
+            // Files we can't translate are copied through untouched or skipped
+            if (!SUPPORTED_DOCUMENT_EXTENSIONS.includes(fileExtension)) {
+                if (options.includeUnsupported) {
+                    translatedZip.addFile(entryName, entry.getData());
+                    results.push({ name: entryName, output: entryName, status: 'copied' });
+                } else {
                     console.log(`Skipping unsupported file: ${entryName}`);
-                    continue;
+                    results.push({ name: entryName, status: 'skipped', error: `Unsupported file format: ${fileExtension || 'no extension'}` });
                 }
+                updateFileStatus(fileId, { results });
+                continue;
+            }
 
+            // Count each entry's chunks towards the archive's overall progress
+            const onProgress = (completedChunks, totalChunks) => {
                 updateFileStatus(fileId, {
-                    step: `Processing ${entryName}`,
-                    current: ++processedFiles,
-                    progress: Math.round((processedFiles / totalFiles) * 100)
+                    subStep: `Translating ${entryName} (${completedChunks}/${totalChunks} chunks)`,
+                    progress: Math.round(((fileIndex + completedChunks / totalChunks) / totalFiles) * 100),
+                    completedChunks,
+                    totalChunks
                 });
-
-                if (fileExtension === '.txt') {
-                    content = entry.getData().toString('utf8');
-                } else if (fileExtension === '.docx') {
-                    // Extract DOCX to temp file first
-                    const tempFilePath = path.join(tempDir, path.basename(entryName));
-                    fs.writeFileSync(tempFilePath, entry.getData());
-
-                    try {
-                        const result = await mammoth.extractRawText({ path: tempFilePath });
-                        content = result.value;
-                        // Clean up temp file
-                        cleanupFile(tempFilePath);
-                    } catch (error) {
-                        console.error(`Error extracting text from DOCX: ${entryName}`, error);
-                        cleanupFile(tempFilePath);
-                        continue; // Skip this file but continue with others
-                    }
-                } else if (fileExtension === '.pdf') {
-                    try {
-                        // Write PDF to temp file
-                        const tempFilePath = path.join(tempDir, path.basename(entryName));
-                        fs.writeFileSync(tempFilePath, entry.getData());
-
-                        // This is a placeholder - implement proper PDF text extraction
-                        content = `Content of PDF file ${entryName}`;
-
-                        // Clean up temp file
-                        cleanupFile(tempFilePath);
-                    } catch (error) {
-                        console.error(`Error extracting text from PDF: ${entryName}`, error);
-                        continue; // Skip this file but continue with others
-                    }
+            };
+
+            // The translated file stays in the entry's folder; temp files are named by
+            // entry index because entries in different folders may share a file name
+            const outputName = path.posix.join(
+                path.posix.dirname(entryName),
+                `${path.posix.basename(entryName, path.extname(entryName))}_translated_to_${targetLanguage}${getOutputExtension(fileExtension)}`
+            );
+            const tempFilePath = path.join(tempDir, `${entryIndex}${fileExtension}`);
+            const translatedFilePath = path.join(tempDir, `${entryIndex}_translated${getOutputExtension(fileExtension)}`);
+            const result = { name: entryName, sourceCharacters: 0, translatedCharacters: 0 };
+            const hooks = {
+                ...createStatusHooks(fileId, onProgress, termCounts),
+                onCharacterCount: (sourceCharacters, translatedCharacters) => {
+                    result.sourceCharacters += sourceCharacters;
+                    result.translatedCharacters += translatedCharacters;
+                },
+                onSegments: translation.review
+                    ? (sources, targets) => addReviewSegments(translation.review, entryName, sources, targets)
+                    : undefined,
+                // Every text file in the archive has its own encoding
+                onEncoding: ({ encoding, outputEncoding }) => {
+                    result.encoding = encoding;
+                    result.resultEncoding = outputEncoding;
+                },
+                onOcr: ({ pages, confidence }) => {
+                    result.ocrPages = pages;
+                    result.ocrConfidence = confidence;
                 }
+            };
 
-                if (!content || content.trim() === '') {
-                    console.warn(`Empty content in file: ${entryName}`);
-                    continue;
+            try {
+                updateFileStatus(fileId, { subStep: `Translating ${entryName}` });
+                fs.writeFileSync(tempFilePath, entry.getData());
+                const typeRejection = checkFileType(tempFilePath, fileExtension);
+                if (typeRejection) {
+                    throw new Error(typeRejection.error);
                 }
+                await translateDocument(tempFilePath, translatedFilePath, fileExtension, translation, hooks);
 
-                // Translate the content
-                updateFileStatus(fileId, { subStep: `Translating ${entryName}` });
-                const translatedContent = await translateText(content, targetLanguage);
-
-                // Save the translated content to a new file
-                const translatedFilename = `${path.basename(entryName, fileExtension)}_translated_to_${targetLanguage}${fileExtension}`;
-                const translatedFilePath = path.join(tempDir, translatedFilename);
-                fs.writeFileSync(translatedFilePath, translatedContent);
-                translatedFiles.push({
-                    path: translatedFilePath,
-                    entryName: `translated/${translatedFilename}`
-                });
+                translatedZip.addFile(outputName, fs.readFileSync(translatedFilePath));
+                results.push({ ...result, output: outputName, status: 'translated' });
+                translatedCount++;
             } catch (error) {
-                console.error(`Error processing zip entry ${entry.entryName}:`, error);
+                if (error.cancelled) throw error;
+                console.error(`Error processing zip entry ${entryName}:`, error);
+                results.push({ ...result, status: 'failed', error: error.message });
                 // Continue with other files instead of failing the whole process
+            } finally {
+                cleanupFile(tempFilePath);
+                cleanupFile(translatedFilePath);
             }
+            updateFileStatus(fileId, { results });
         }
 
-        if (translatedFiles.length === 0) {
+        if (translatedCount === 0) {
             throw new Error('No files were successfully translated');
         }
 
-        // Create a new ZIP file with the translated files
+        // Create a new ZIP file with the translated files and a manifest of every entry
         updateFileStatus(fileId, { step: 'Creating ZIP archive with translated files' });
         const translatedZipFilename = `translated_to_${targetLanguage}_${path.basename(zipPath)}`;
-        const translatedZipPath = path.join(TRANSLATED_FOLDER, translatedZipFilename);
+        const translatedZipPath = path.join(tempDir, translatedZipFilename);
 
-        const translatedZip = new AdmZip();
-        translatedFiles.forEach(file => {
-            translatedZip.addLocalFile(file.path, path.dirname(file.entryName));
+        translatedZip.addFile(ZIP_MANIFEST_NAME, Buffer.from(JSON.stringify({
+            targetLanguage,
+            generatedAt: new Date().toISOString(),
+            entries: results
+        }, null, 2)));
+        translatedZip.writeZip(translatedZipPath);
+
+        return { translatedFilePath: translatedZipPath, results };
+    } catch (error) {
+        console.error('Error processing ZIP file:', error);
+        if (error.message.includes('end of central directory')) {
+            throw new Error('Invalid ZIP file format. The file may be corrupted or not a valid ZIP file.');
+        }
+        throw error;
+    }
+}
+
+// Function to load glossaries by ID for an upload. Each one must belong to the API key
+// and fit one of the requested language pairs. Returns { glossaries } or { error, status }
+async function loadGlossaries(apiKey, glossaryIds, sourceLanguage, targetLanguages) {
+    const glossaries = await Promise.all(glossaryIds.map(id => glossaryStore.get(id)));
+
+    // Other keys' glossaries are reported as unknown rather than forbidden
+    const missingGlossary = glossaryIds.find((id, index) => !canAccess(apiKey, glossaries[index]));
+    if (missingGlossary) {
+        return { status: 404, error: `Glossary not found: ${missingGlossary}` };
+    }
+
+    const unusedGlossary = glossaries.find(glossary =>
+        !targetLanguages.some(language => glossaryFits(glossary, sourceLanguage, language))
+    );
+    if (unusedGlossary) {
+        return {
+            status: 400,
+            error: `Glossary ${unusedGlossary.id} is for ${unusedGlossary.sourceLanguage} → ${unusedGlossary.targetLanguage}, which is not a requested language pair`
+        };
+    }
+
+    return { glossaries };
+}
+
+function glossaryFits(glossary, sourceLanguage, targetLanguage) {
+    return glossary.targetLanguage === targetLanguage &&
+        (sourceLanguage === 'auto' || glossary.sourceLanguage === sourceLanguage);
+}
+
+// Function to create a batch with one queued job per source file and target language.
+// `sources` lists { sourcePath, originalname }. Every job gets its own copy of its
+// source, kept until its status expires so the job can be retried or re-run; the
+// first job of each source takes `sourcePath` itself unless `copySource` is set
+async function createBatch({ sources, copySource = false, sourceLanguage, targetLanguages, provider, glossaries = [], includeUnsupported, retentionSeconds, callback, outputs, bilingualFormat, encoding, outputEncoding, owner }) {
+    // Random, so IDs neither collide between concurrent uploads nor can be guessed;
+    // job IDs are derived from it and are just as unique
+    const batchId = crypto.randomUUID();
+    const uploadTime = new Date().toISOString();
+    const jobs = sources.flatMap(({ sourcePath, originalname }, sourceIndex) => targetLanguages.map((language, index) => {
+        // Single-file batches keep the `<batchId>-<language>` IDs
+        const fileId = sources.length > 1 ? `${batchId}-${sourceIndex + 1}-${language}` : `${batchId}-${language}`;
+        const glossary = glossaries.find(candidate => glossaryFits(candidate, sourceLanguage, language));
+        return {
+            fileId,
+            originalname,
+            targetLanguage: language,
+            glossaryId: glossary ? glossary.id : undefined,
+            sourcePath,
+            filePath: index === 0 && !copySource
+                ? sourcePath
+                : path.join(UPLOAD_FOLDER, `${fileId}-${originalname}`)
+        };
+    }));
+
+    try {
+        jobs.forEach(job => {
+            if (job.filePath !== job.sourcePath) fs.copyFileSync(job.sourcePath, job.filePath);
         });
 
-        translatedZip.writeZip(translatedZipPath);
+        await statusStore.setBatch(batchId, {
+            originalname: sources.length > 1 ? `${sources.length} files` : sources[0].originalname,
+            files: sources.map(source => source.originalname),
+            sourceLanguage,
+            targetLanguages,
+            fileIds: jobs.map(job => job.fileId),
+            // The file and language of every job, in the order of fileIds
+            jobs: jobs.map(job => ({ originalname: job.originalname, targetLanguage: job.targetLanguage })),
+            provider,
+            owner,
+            uploadTime,
+            // The callback is kept on the batch, out of the job status the API returns
+            callbackUrl: callback && callback.url,
+            callbackSecret: callback && callback.secret
+        });
+
+        for (const job of jobs) {
+            const jobStatus = {
+                status: 'queued',
+                batchId,
+                originalname: job.originalname,
+                sourceFile: job.filePath,
+                sourceLanguage,
+                targetLanguage: job.targetLanguage,
+                provider,
+                glossaryId: job.glossaryId,
+                includeUnsupported,
+                retentionSeconds,
+                outputs,
+                bilingualFormat,
+                encoding,
+                outputEncoding,
+                owner,
+                uploadTime
+            };
+            await statusStore.setStatus(job.fileId, jobStatus);
+            await statusStore.addJob(job.fileId, owner, uploadTime);
+
+            // Add the file processing task to the queue
+            await queueTranslationJob(job.fileId, jobStatus);
+        }
+    } catch (error) {
+        jobs.forEach(job => job.filePath !== job.sourcePath && cleanupFile(job.filePath));
+        throw error;
+    }
+
+    return { batchId, jobs };
+}
+
+// Function to queue a job for translation from its stored status.
+// The Bull job ID is kept in the status so a queued job can be cancelled
+async function queueTranslationJob(fileId, status) {
+    const queueJob = await fileQueue.add(
+        {
+            fileId,
+            batchId: status.batchId,
+            filePath: status.sourceFile,
+            sourceLanguage: status.sourceLanguage,
+            targetLanguage: status.targetLanguage,
+            provider: status.provider,
+            glossaryId: status.glossaryId,
+            includeUnsupported: status.includeUnsupported,
+            retentionSeconds: status.retentionSeconds,
+            outputs: status.outputs,
+            bilingualFormat: status.bilingualFormat,
+            encoding: status.encoding,
+            outputEncoding: status.outputEncoding,
+            owner: status.owner,
+            originalname: status.originalname
+        },
+        {
+            attempts: 3, // Retry up to 3 times
+            removeOnComplete: true // Remove completed jobs from queue
+        }
+    );
+    await statusStore.updateStatus(fileId, { queueJobId: queueJob.id });
+    return queueJob;
+}
+
+// Function to build a check that throws once cancellation of the job was requested.
+// The flag is read at most once per CANCEL_CHECK_INTERVAL so busy jobs don't hammer Redis
+function createCancellationCheck(fileId) {
+    let lastCheck = 0;
+    return async () => {
+        if (Date.now() - lastCheck < CANCEL_CHECK_INTERVAL) return;
+        lastCheck = Date.now();
+
+        if (await statusStore.getStatusField(fileId, 'cancelRequested')) {
+            const error = new Error('Job was cancelled');
+            error.cancelled = true;
+            throw error;
+        }
+    };
+}
+
+// Function to describe a job for the history list
+function summarizeJob(fileId, status) {
+    return {
+        fileId,
+        batchId: status.batchId,
+        originalname: status.originalname,
+        status: status.status,
+        sourceLanguage: status.sourceLanguage,
+        detectedLanguage: status.detectedLanguage,
+        targetLanguage: status.targetLanguage,
+        provider: status.provider,
+        progress: DOWNLOADABLE_STATUSES.includes(status.status) ? 100 : status.progress || 0,
+        uploadTime: status.uploadTime,
+        startTime: status.startTime,
+        completedTime: status.completedTime,
+        failedTime: status.failedTime,
+        expiresAt: status.expiresAt,
+        error: status.error,
+        downloadable: DOWNLOADABLE_STATUSES.includes(status.status) && Boolean(status.resultKey),
+        outputs: Object.keys(status.outputKeys || {}),
+        retryable: RETRYABLE_STATUSES.includes(status.status) && fs.existsSync(status.sourceFile)
+    };
+}
+
+// Function to read the requested target languages from an upload request.
+// Accepts repeated `languages` fields, a comma separated list, or the single `language` field
+function parseTargetLanguages(body) {
+    return parseList(body.languages || body.language || 'en'); // Default to English
+}
+
+// Function to validate a requested retention in seconds; null when invalid
+function parseRetention(value) {
+    if (value === undefined || value === '') return JOB_RETENTION_SECONDS;
+
+    const seconds = Number(value);
+    return Number.isInteger(seconds) && seconds > 0 && seconds <= MAX_JOB_RETENTION_SECONDS ? seconds : null;
+}
+
+// Function to compute when a job that finishes now expires
+function getExpiryTime(retentionSeconds) {
+    return new Date(Date.now() + (retentionSeconds || JOB_RETENTION_SECONDS) * 1000).toISOString();
+}
+
+// Function to read the optional webhook callback of an upload.
+// Returns { callback } (undefined when none was requested) or { error }
+function parseCallback(body) {
+    if (!body.callbackUrl) {
+        return body.callbackSecret ? { error: 'callbackSecret requires a callbackUrl' } : { callback: undefined };
+    }
+
+    const error = validateCallbackUrl(body.callbackUrl);
+    if (error) return { error };
+    return { callback: { url: body.callbackUrl, secret: body.callbackSecret || undefined } };
+}
+
+// Function to read the requested review exports of an upload.
+// Returns { outputs, bilingualFormat } or { error }
+function parseReviewOptions(body) {
+    // The translated file is always produced; listing it is allowed for clarity
+    const outputs = parseList(body.outputs).filter(output => output !== 'translated');
+    const unknown = outputs.filter(output => !REVIEW_OUTPUTS.includes(output));
+    if (unknown.length > 0) {
+        return { error: `Unknown output: ${unknown.join(', ')}; expected translated, ${REVIEW_OUTPUTS.join(', ')}` };
+    }
+
+    const bilingualFormat = body.bilingualFormat || 'docx';
+    if (!BILINGUAL_FORMATS.includes(bilingualFormat)) {
+        return { error: `bilingualFormat must be one of ${BILINGUAL_FORMATS.join(', ')}` };
+    }
+    return { outputs, bilingualFormat };
+}
+
+// Function to read the encoding options of an upload: `encoding` of plain text
+// inputs (detected when unset or 'auto') and `outputEncoding` of the translations
+// ('source' for the input's). Returns { encoding, outputEncoding } or { error }
+function parseEncodingOptions(body, defaults = {}) {
+    const encoding = body.encoding === undefined ? defaults.encoding : body.encoding;
+    const outputEncoding = body.outputEncoding || defaults.outputEncoding || DEFAULT_OUTPUT_ENCODING;
+
+    if (encoding && encoding !== 'auto' && !isSupportedEncoding(encoding)) {
+        return { error: `Unsupported encoding: ${encoding}` };
+    }
+    if (outputEncoding !== 'source' && !isSupportedEncoding(outputEncoding)) {
+        return { error: `Unsupported output encoding: ${outputEncoding}` };
+    }
+
+    return {
+        encoding: encoding && encoding !== 'auto' ? normalizeEncoding(encoding) : undefined,
+        outputEncoding: outputEncoding === 'source' ? 'source' : normalizeEncoding(outputEncoding)
+    };
+}
+
+// Function to check requested language pairs against the provider's language list.
+// Returns the 422 response body when some pair is unsupported, otherwise null.
+// The check is skipped when the list can't be loaded; the worker reports real failures
+async function checkLanguagePairs(provider, sourceLanguage, targetLanguages) {
+    let unsupported;
+    try {
+        unsupported = await languageCatalog.findUnsupportedPairs(provider, sourceLanguage, targetLanguages);
+    } catch (error) {
+        console.warn(`Could not load the ${provider} language list, skipping the language pair check: ${error.message}`);
+        return null;
+    }
+    if (unsupported.length === 0) return null;
 
-        // Clean up temporary translated files
-        updateFileStatus(fileId, { step: 'Cleaning up temporary files' });
-        translatedFiles.forEach(file => {
-            cleanupFile(file.path);
+    return {
+        error: unsupported.map(pair => pair.error).join('; '),
+        code: 'UNSUPPORTED_LANGUAGE_PAIR',
+        unsupported: unsupported.map(({ sourceLanguage, targetLanguage }) => ({ sourceLanguage, targetLanguage }))
+    };
+}
+
+// Function to list every file a job keeps in the result storage
+function getStoredKeys(status) {
+    return [status.resultKey, ...Object.values(status.outputKeys || {})].filter(Boolean);
+}
+
+// Function to send a finished job to its batch's callback, if it has one
+async function notifyJobFinished(fileId) {
+    try {
+        const status = await statusStore.getStatus(fileId);
+        if (!status) return;
+        const batch = await statusStore.getBatch(status.batchId);
+        if (!batch || !batch.callbackUrl) return;
+
+        const job = summarizeJob(fileId, status);
+        await webhooks.notify(fileId, { url: batch.callbackUrl, secret: batch.callbackSecret }, {
+            event: `job.${status.status}`, // job.completed, job.partial or job.failed
+            timestamp: new Date().toISOString(),
+            job,
+            results: status.results,
+            downloadPath: job.downloadable ? `/download/${fileId}` : undefined
         });
+    } catch (error) {
+        console.error(`Error queueing webhook for file ${fileId}:`, error);
+    }
+}
 
-        // Clean up temp directory
+// Function to read a form field that may be repeated or comma separated
+function parseList(value) {
+    const items = [].concat(value || [])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+    return [...new Set(items)];
+}
+
+// Function to validate translation memory filters; they end up in a Redis key pattern
+function parseTranslationMemoryFilter(query) {
+    const { provider, source, target } = query;
+
+    if (provider && !hasProvider(provider)) {
+        return { error: `Unknown translation provider: ${provider}` };
+    }
+    for (const language of [source, target]) {
+        if (language && language !== 'auto' && !LANGUAGE_CODE_PATTERN.test(language)) {
+            return { error: `Invalid language code: ${language}` };
+        }
+    }
+
+    return { provider, source, target };
+}
+
+// Function to combine the status of every job in a batch
+// Returns null for unknown batches and batches owned by another API key
+async function getBatchStatus(batchId, apiKey) {
+    const batch = await statusStore.getBatch(batchId);
+    if (!canAccess(apiKey, batch)) return null;
+
+    const jobs = await Promise.all(batch.fileIds.map(async (fileId, index) => {
+        const status = await statusStore.getStatus(fileId);
+        // Batches from before multi-file uploads have one job per target language
+        const job = batch.jobs ? batch.jobs[index] : { originalname: batch.originalname, targetLanguage: batch.targetLanguages[index] };
+        return {
+            fileId,
+            originalname: job.originalname,
+            targetLanguage: job.targetLanguage,
+            detectedLanguage: status && status.detectedLanguage,
+            detectedEncoding: status && status.detectedEncoding,
+            resultEncoding: status && status.resultEncoding,
+            ocrPages: status && status.ocrPages,
+            ocrConfidence: status && status.ocrConfidence,
+            status: status ? status.status : 'expired',
+            step: status && status.step,
+            progress: status && DOWNLOADABLE_STATUSES.includes(status.status) ? 100 : (status && status.progress) || 0,
+            totalFiles: status && status.totalFiles,
+            current: status && status.current,
+            cacheHits: status && status.cacheHits,
+            cacheMisses: status && status.cacheMisses,
+            appliedTerms: status && status.appliedTerms,
+            results: status && status.results,
+            webhook: status && status.webhook,
+            outputs: status && status.outputKeys ? Object.keys(status.outputKeys) : [],
+            error: status && status.error
+        };
+    }));
+
+    const statuses = jobs.map(job => job.status);
+    let status;
+    if (statuses.every(value => value === 'completed')) {
+        status = 'completed';
+    } else if (statuses.every(value => value === 'cancelled')) {
+        status = 'cancelled';
+    } else if (statuses.includes('processing') || statuses.includes('retrying')) {
+        status = 'processing';
+    } else if (statuses.includes('queued')) {
+        status = 'queued';
+    } else {
+        // Every job has finished, but not all of them successfully
+        status = statuses.some(value => DOWNLOADABLE_STATUSES.includes(value)) ? 'partial' : 'failed';
+    }
+
+    return {
+        batchId,
+        status,
+        originalname: batch.originalname,
+        files: batch.files || [batch.originalname],
+        sourceLanguage: batch.sourceLanguage || 'auto',
+        provider: batch.provider,
+        uploadTime: batch.uploadTime,
+        progress: Math.round(jobs.reduce((sum, job) => sum + job.progress, 0) / jobs.length),
+        completedJobs: statuses.filter(value => DOWNLOADABLE_STATUSES.includes(value)).length,
+        totalJobs: jobs.length,
+        jobs
+    };
+}
+
+// Function to serve status changes as Server-Sent Events. `load` reads the current
+// status, which is sent once up front and again whenever one of the jobs changes
+// (`status` events); an `end` event follows once the status is terminal
+async function streamStatus(req, res, fileIds, load) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let sending = false;
+    let pending = false;
+    let unsubscribe = null;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_INTERVAL);
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+        res.end();
+    };
+
+    // Bursts of progress updates are coalesced: one read at a time, plus one after it
+    const send = async () => {
+        if (sending) {
+            pending = true;
+            return;
+        }
+        sending = true;
         try {
-            fs.rmdirSync(tempDir, { recursive: true });
+            do {
+                pending = false;
+                const snapshot = (await load()) || { status: 'expired' };
+                if (closed) return;
+
+                res.write(`event: status\ndata: ${JSON.stringify(snapshot)}\n\n`);
+                if (TERMINAL_STATUSES.includes(snapshot.status)) {
+                    res.write(`event: end\ndata: ${JSON.stringify({ status: snapshot.status })}\n\n`);
+                    return close();
+                }
+            } while (pending && !closed);
         } catch (error) {
-            console.error(`Error removing temp directory ${tempDir}:`, error);
+            console.error('Error streaming status:', error);
+            close();
+        } finally {
+            sending = false;
         }
+    };
 
-        return translatedZipPath;
+    req.on('close', close);
+
+    try {
+        unsubscribe = await statusStore.subscribe(fileIds, send);
     } catch (error) {
-        console.error('Error processing ZIP file:', error);
-        if (error.message.includes('end of central directory')) {
-            throw new Error('Invalid ZIP file format. The file may be corrupted or not a valid ZIP file.');
-        }
-        throw error;
+        console.error('Error subscribing to status events:', error);
+        return close();
+    }
+    if (closed) return unsubscribe();
+
+    send();
+}
+
+// Function to build the translation hooks that report into a job's status.
+// `termCounts` accumulates applied glossary terms across every document of the job
+function createStatusHooks(fileId, onProgress, termCounts = {}) {
+    return {
+        onProgress,
+        onDetect: detection => recordDetectedLanguage(fileId, detection),
+        onCacheResult: hit => recordCacheResult(fileId, hit),
+        onGlossaryApplied: applied => recordAppliedTerms(fileId, termCounts, applied),
+        onEncoding: ({ encoding, confidence, outputEncoding }) => updateFileStatus(fileId, {
+            detectedEncoding: encoding,
+            encodingConfidence: confidence,
+            // Kept apart from the requested outputEncoding, which a retry reuses
+            resultEncoding: outputEncoding
+        }),
+        onOcr: ({ pages, confidence }) => updateFileStatus(fileId, { ocrPages: pages, ocrConfidence: confidence })
+    };
+}
+
+// Utility function to record an auto-detected source language on a job
+function recordDetectedLanguage(fileId, { language, confidence }) {
+    updateFileStatus(fileId, {
+        detectedLanguage: language,
+        detectionConfidence: confidence
+    });
+}
+
+// Utility function to count translation memory hits and misses on a job
+function recordCacheResult(fileId, hit) {
+    statusStore.incrementStatus(fileId, hit ? 'cacheHits' : 'cacheMisses').catch(error => {
+        console.error(`Error updating cache stats for file ${fileId}:`, error);
+    });
+}
+
+// Utility function to add applied glossary terms to a job's status
+function recordAppliedTerms(fileId, termCounts, applied) {
+    if (applied.length === 0) return;
+
+    for (const term of applied) {
+        const existing = termCounts[term.term];
+        termCounts[term.term] = existing ? { ...existing, count: existing.count + term.count } : { ...term };
     }
+    updateFileStatus(fileId, { appliedTerms: Object.values(termCounts) });
 }
 
-// Utility function to update file status
+// Utility function to update file status. Progress updates don't need to be
+// awaited: commands on the shared Redis connection are applied in order
 function updateFileStatus(fileId, update) {
-    if (fileStatus[fileId]) {
-        fileStatus[fileId] = {
-            ...fileStatus[fileId],
-            ...update,
-            lastUpdated: new Date().toISOString()
-        };
+    return statusStore.updateStatus(fileId, {
+        ...update,
+        lastUpdated: new Date().toISOString()
+    }).catch(error => {
+        console.error(`Error updating status for file ${fileId}:`, error);
+    });
+}
+
+// Function to get a job's staging directory under temp/, where its result and review
+// exports are written before they go to the result storage. Being per job, jobs for
+// the same file name and language never write to the same path
+function getStagingDir(fileId) {
+    const dir = path.join(TEMP_FOLDER, fileId);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+function removeStagingDir(fileId) {
+    try {
+        fs.rmSync(path.join(TEMP_FOLDER, fileId), { recursive: true, force: true });
+    } catch (error) {
+        console.error(`Error removing staging directory for ${fileId}:`, error);
     }
 }
 
@@ -590,38 +2014,250 @@ function cleanupFile(filePath) {
     }
 }
 
-function cleanupTranslatedFolder() {
+// Function to expire finished jobs past their retention and remove files no job
+// refers to any more. Every instance schedules it; a Redis lock lets one run at a time
+async function runCleanup() {
+    try {
+        const locked = await redisClient.set(CLEANUP_LOCK_KEY, String(process.pid), { NX: true, PX: CLEANUP_INTERVAL });
+        if (!locked) return;
+
+        await expireJobs();
+        cleanupOldFiles(UPLOAD_FOLDER, ORPHAN_MAX_AGE);
+        cleanupOldFiles(TRANSLATED_FOLDER, ORPHAN_MAX_AGE);
+        cleanupOldFiles(TEMP_FOLDER, TEMP_MAX_AGE);
+    } catch (error) {
+        console.error('Error during cleanup:', error);
+    }
+}
+
+// Function to delete the result and source of every job whose retention is over
+// and mark its status `expired`
+async function expireJobs() {
+    const now = Date.now();
+
+    for (const fileId of await statusStore.listJobIds(null)) {
+        const status = await statusStore.getStatus(fileId);
+        if (!status || status.status === 'expired' || !status.expiresAt) continue;
+        if (new Date(status.expiresAt).getTime() > now) continue;
+
+        for (const key of getStoredKeys(status)) {
+            await resultStorage.remove(key).catch(error => {
+                console.error(`Error removing result ${key}:`, error);
+            });
+        }
+        if (status.sourceFile) cleanupFile(status.sourceFile);
+
+        await updateFileStatus(fileId, {
+            status: 'expired',
+            step: 'Files removed after the retention period',
+            expiredTime: new Date().toISOString()
+        });
+        console.log(`Expired job ${fileId}`);
+    }
+}
+
+function cleanupOldFiles(folder, maxAgeMs) {
     try {
-        // Read all files in the translated folder
-        const files = fs.readdirSync(TRANSLATED_FOLDER);
+        // Read all entries (files and per-job folders) in the folder
+        const files = fs.readdirSync(folder);
 
         const now = Date.now(); // Current time in milliseconds
-        const oneHourInMs = 60 * 60 * 1000; // 1 hour in milliseconds
 
         files.forEach((file) => {
-            const filePath = path.join(TRANSLATED_FOLDER, file);
+            const filePath = path.join(folder, file);
             const stats = fs.statSync(filePath);
 
-            // Check if the file is older than 1 hour
-            if (now - stats.mtimeMs > oneHourInMs) {
-                console.log(`Deleting old file: ${file}`);
-                fs.unlinkSync(filePath); // Delete the file
+            // Check if the entry is older than the maximum age
+            if (now - stats.mtimeMs > maxAgeMs) {
+                console.log(`Deleting old file: ${filePath}`);
+                fs.rmSync(filePath, { recursive: true, force: true });
             }
         });
-
-        console.log('Cleanup completed.');
     } catch (error) {
-        console.error('Error during cleanup:', error);
+        console.error(`Error cleaning up ${folder}:`, error);
     }
 }
 
-setInterval(cleanupTranslatedFolder, 60 * 60 * 1000); 
+setInterval(runCleanup, CLEANUP_INTERVAL);
+
+// Glossary endpoints: per language pair lists of forced translations and do-not-translate terms.
+// Glossaries belong to the API key that created them; admins see every glossary
+app.get('/glossaries', async (req, res, next) => {
+    const { sourceLanguage, targetLanguage } = req.query;
+
+    try {
+        const glossaries = await glossaryStore.list();
+        res.json(glossaries.filter(glossary =>
+            canAccess(req.apiKey, glossary) &&
+            (!sourceLanguage || glossary.sourceLanguage === sourceLanguage) &&
+            (!targetLanguage || glossary.targetLanguage === targetLanguage)
+        ));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/glossaries', async (req, res, next) => {
+    const { error, glossary } = parseGlossary(req.body, LANGUAGE_CODE_PATTERN);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.status(201).json(await glossaryStore.create({ ...glossary, owner: req.apiKey.id }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/glossaries/:id', async (req, res, next) => {
+    try {
+        const glossary = await glossaryStore.get(req.params.id);
+        if (!canAccess(req.apiKey, glossary)) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        res.json(glossary);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.put('/glossaries/:id', async (req, res, next) => {
+    const { error, glossary } = parseGlossary(req.body, LANGUAGE_CODE_PATTERN);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        // The owner is kept from the stored glossary
+        if (!canAccess(req.apiKey, await glossaryStore.get(req.params.id))) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        const updated = await glossaryStore.update(req.params.id, glossary);
+        if (!updated) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        res.json(updated);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/glossaries/:id', async (req, res, next) => {
+    try {
+        if (!canAccess(req.apiKey, await glossaryStore.get(req.params.id))) {
+            return res.status(404).json({ error: 'Glossary not found' });
+        }
+        await glossaryStore.remove(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// API endpoint to detect the language of an uploaded file or a text snippet
+app.post('/detect', upload.single('file'), async (req, res, next) => {
+    const file = req.file;
+    const provider = req.body.provider || DEFAULT_PROVIDER;
+
+    if (!hasProvider(provider)) {
+        if (file) cleanupFile(file.path);
+        return res.status(400).json({ error: `Unknown translation provider: ${provider}` });
+    }
+
+    try {
+        let text = req.body.text;
+        if (file) {
+            const fileExtension = path.extname(sanitizeFilename(file.originalname)).toLowerCase();
+            const rejection = fileExtension === '.zip'
+                ? { status: 415, code: 'UNSUPPORTED_FILE_TYPE', error: 'Unsupported file format: .zip' }
+                : checkFileType(file.path, fileExtension);
+            if (rejection) {
+                return res.status(rejection.status).json({ error: rejection.error, code: rejection.code });
+            }
+            text = await extractText(file.path, fileExtension);
+        }
+
+        if (!text || text.trim() === '') {
+            return res.status(400).json({ error: 'Provide a file or a text snippet to detect' });
+        }
+
+        const detection = await getProvider(provider).detect(text.trim().slice(0, DETECTION_SAMPLE_SIZE));
+        if (!detection) {
+            return res.status(422).json({ error: 'Could not detect the language' });
+        }
+
+        res.json({ ...detection, provider });
+    } catch (error) {
+        next(error);
+    } finally {
+        if (file) cleanupFile(file.path);
+    }
+});
+
+// Admin endpoint to inspect translation memory entries, optionally filtered
+// by provider and language pair. Pass the returned cursor to get the next page
+app.get('/admin/translation-memory', auth.requireAdmin, async (req, res, next) => {
+    const filter = parseTranslationMemoryFilter(req.query);
+    if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+    }
+
+    try {
+        const result = await translationMemory.list(filter, {
+            cursor: parseInt(req.query.cursor) || 0,
+            count: Math.min(parseInt(req.query.count) || 50, 500)
+        });
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Admin endpoint to purge translation memory entries matching the same filters
+app.delete('/admin/translation-memory', auth.requireAdmin, async (req, res, next) => {
+    const filter = parseTranslationMemoryFilter(req.query);
+    if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+    }
+
+    try {
+        const deleted = await translationMemory.purge(filter);
+        res.json({ deleted });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// API endpoint to show the calling API key's usage for the current month
+app.get('/usage', async (req, res, next) => {
+    try {
+        res.json({ key: req.apiKey.id, ...(await auth.getUsage(req.apiKey.id)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// API endpoint to list the configured translation providers
+app.get('/providers', (req, res) => {
+    res.json({
+        providers: providerNames,
+        default: DEFAULT_PROVIDER,
+        fallback: FALLBACK_PROVIDER
+    });
+});
 
-// API endpoint to get available languages from LibreTranslate
+// API endpoint to get the languages of a translation provider as [{ code, name, targets }],
+// where `targets` lists the languages each one can be translated into
 app.get('/languages', async (req, res) => {
+    const provider = req.query.provider || DEFAULT_PROVIDER;
+
+    if (!hasProvider(provider)) {
+        return res.status(400).json({ error: `Unknown translation provider: ${provider}` });
+    }
+
     try {
-        const response = await axios.get(`${LIBRETRANSLATE_URL}/languages`);
-        res.json(response.data);
+        res.json(await languageCatalog.getLanguages(provider));
     } catch (error) {
         console.error('Error fetching languages:', error);
         res.status(500).json({ error: 'Failed to fetch available languages' });
@@ -635,6 +2271,11 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Upload limits (file size, field count) are client errors
+    if (err instanceof multer.MulterError) {
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message, code: err.code });
+    }
+
     console.error('Unhandled error:', err);
     res.status(500).json({
         error: 'Server error',
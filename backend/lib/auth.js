@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+// API keys are configured as comma separated `name:key` pairs. Keys in
+// ADMIN_API_KEYS also get the admin role (Bull Board, translation memory admin).
+// Starting without any key is refused unless AUTH_DISABLED=true, in which case
+// requests run as an anonymous non-admin client.
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+const MONTHLY_CHARACTER_QUOTA = parseInt(process.env.MONTHLY_CHARACTER_QUOTA) || 0; // 0 = unlimited
+const RATE_LIMIT_KEY_PREFIX = 'tranzo:ratelimit:';
+const USAGE_KEY_PREFIX = 'tranzo:usage:';
+const USAGE_TTL_SECONDS = 100 * 24 * 60 * 60; // keep a few months of usage around
+
+const ANONYMOUS_KEY = { id: 'anonymous', admin: false };
+
+// Function to read `name:key` pairs from an environment variable
+function parseApiKeys(value, admin) {
+    return String(value || '')
+        .split(',')
+        .map(pair => pair.trim())
+        .filter(Boolean)
+        .map(pair => {
+            const separator = pair.indexOf(':');
+            if (separator <= 0 || separator === pair.length - 1) {
+                throw new Error(`Invalid API key entry "${pair}"; expected name:key`);
+            }
+            return { id: pair.slice(0, separator), key: pair.slice(separator + 1), admin };
+        });
+}
+
+function createAuth(redisClient, {
+    apiKeys = process.env.API_KEYS,
+    adminApiKeys = process.env.ADMIN_API_KEYS,
+    disabled = process.env.AUTH_DISABLED === 'true'
+} = {}) {
+    const keys = [...parseApiKeys(adminApiKeys, true), ...parseApiKeys(apiKeys, false)];
+    const enabled = !disabled;
+
+    if (enabled && keys.length === 0) {
+        throw new Error('No API_KEYS or ADMIN_API_KEYS configured; set keys, or AUTH_DISABLED=true to run without authentication');
+    }
+    if (!enabled) {
+        console.warn('AUTH_DISABLED=true: authentication is off, every caller shares one anonymous owner and admin routes are closed');
+    }
+
+    // Function to find the configured key matching a request, comparing in constant time
+    function findKey(presented) {
+        const digest = crypto.createHash('sha256').update(presented).digest();
+        return keys.find(entry =>
+            crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(entry.key).digest())
+        );
+    }
+
+    // Middleware to identify the API key of a request and apply its rate limit.
+    // Paths in `except` are left open (the health check)
+    function authenticate({ except = [] } = {}) {
+        return async (req, res, next) => {
+            if (except.includes(req.path)) return next();
+
+            let apiKey = ANONYMOUS_KEY;
+            if (enabled) {
+                const presented = getPresentedKey(req);
+                apiKey = presented && findKey(presented);
+                if (!apiKey) {
+                    // Lets browsers prompt for a key on the admin dashboard
+                    res.set('WWW-Authenticate', 'Basic realm="Tranzo"');
+                    return res.status(401).json({
+                        error: presented ? 'Invalid API key' : 'API key required',
+                        code: 'UNAUTHORIZED'
+                    });
+                }
+            }
+            req.apiKey = { id: apiKey.id, admin: apiKey.admin };
+
+            try {
+                const { allowed, retryAfter } = await consumeRateLimit(req.apiKey.id);
+                if (!allowed) {
+                    res.set('Retry-After', String(retryAfter));
+                    return res.status(429).json({
+                        error: `Rate limit of ${RATE_LIMIT_PER_MINUTE} requests per minute exceeded`,
+                        code: 'RATE_LIMITED'
+                    });
+                }
+            } catch (error) {
+                return next(error);
+            }
+            next();
+        };
+    }
+
+    // Middleware for routes only admins may use
+    function requireAdmin(req, res, next) {
+        if (!req.apiKey || !req.apiKey.admin) {
+            return res.status(403).json({ error: 'Admin role required', code: 'FORBIDDEN' });
+        }
+        next();
+    }
+
+    // Fixed one-minute window per key
+    async function consumeRateLimit(keyId) {
+        const window = Math.floor(Date.now() / 60000);
+        const key = `${RATE_LIMIT_KEY_PREFIX}${keyId}:${window}`;
+        const [count] = await redisClient.multi()
+            .incr(key)
+            .expire(key, 60)
+            .exec();
+
+        return {
+            allowed: count <= RATE_LIMIT_PER_MINUTE,
+            retryAfter: 60 - Math.floor((Date.now() / 1000) % 60)
+        };
+    }
+
+    // Function to read a key's character usage for the current month
+    async function getUsage(keyId) {
+        const characters = parseInt(await redisClient.get(usageKey(keyId))) || 0;
+        return {
+            month: currentMonth(),
+            characters,
+            quota: MONTHLY_CHARACTER_QUOTA || null,
+            remaining: MONTHLY_CHARACTER_QUOTA ? Math.max(MONTHLY_CHARACTER_QUOTA - characters, 0) : null,
+            rateLimitPerMinute: RATE_LIMIT_PER_MINUTE
+        };
+    }
+
+    // Function to charge translated characters to a key. Throws, without charging,
+    // when the charge would go over the monthly quota
+    async function consumeCharacters(keyId, characters) {
+        const key = usageKey(keyId);
+        const [total] = await redisClient.multi()
+            .incrBy(key, characters)
+            .expire(key, USAGE_TTL_SECONDS)
+            .exec();
+
+        if (MONTHLY_CHARACTER_QUOTA && total > MONTHLY_CHARACTER_QUOTA) {
+            await redisClient.decrBy(key, characters);
+            const error = new Error(`Monthly character quota of ${MONTHLY_CHARACTER_QUOTA} exceeded`);
+            error.code = 'QUOTA_EXCEEDED';
+            error.retryable = false;
+            throw error;
+        }
+    }
+
+    // Function to check whether a key has quota left at all
+    async function hasQuotaLeft(keyId) {
+        if (!MONTHLY_CHARACTER_QUOTA) return true;
+        const { remaining } = await getUsage(keyId);
+        return remaining > 0;
+    }
+
+    return {
+        authenticate,
+        requireAdmin,
+        getUsage,
+        consumeCharacters,
+        hasQuotaLeft
+    };
+}
+
+// Function to read the key from `Authorization: Bearer`, `X-API-Key` or the
+// password of `Authorization: Basic` (for the dashboard in a browser)
+function getPresentedKey(req) {
+    const header = req.get('authorization') || '';
+    const [scheme, credentials] = header.split(' ');
+
+    if (/^bearer$/i.test(scheme) && credentials) return credentials.trim();
+    if (/^basic$/i.test(scheme) && credentials) {
+        const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+        return decoded.slice(decoded.indexOf(':') + 1) || null;
+    }
+    return req.get('x-api-key') || null;
+}
+
+// Function to check whether an API key may see a job or batch.
+// Admins see everything; records without an owner are admin-only
+function canAccess(apiKey, record) {
+    return Boolean(record) && (apiKey.admin || record.owner === apiKey.id);
+}
+
+function usageKey(keyId) {
+    return `${USAGE_KEY_PREFIX}${keyId}:${currentMonth()}`;
+}
+
+function currentMonth() {
+    return new Date().toISOString().slice(0, 7); // YYYY-MM
+}
+
+module.exports = {
+    createAuth,
+    canAccess
+};
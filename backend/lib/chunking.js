@@ -0,0 +1,138 @@
+// Sentence ends followed by whitespace, including CJK full-width punctuation
+const SENTENCE_BOUNDARY = /(?<=[.!?;:。！？；])(\s+)/;
+const PARAGRAPH_BOUNDARY = /(\n\s*\n)/;
+const LINE_BOUNDARY = /(\n)/;
+const WORD_BOUNDARY = /(\s+)/;
+
+// Function to split text into size-limited chunks on paragraph/sentence boundaries.
+// Each chunk keeps the whitespace that followed it in `separator`, so joining
+// `text + separator` for every chunk (after `prefix`) rebuilds the original layout.
+function splitIntoChunks(text, maxChars) {
+    const prefix = text.match(/^\s*/)[0];
+    const body = text.slice(prefix.length);
+    const pieces = splitPieces(body, maxChars, [PARAGRAPH_BOUNDARY, LINE_BOUNDARY, SENTENCE_BOUNDARY, WORD_BOUNDARY]);
+
+    // Greedily pack neighbouring pieces back together up to the size limit
+    const chunks = [];
+    let current = null;
+    for (const piece of pieces) {
+        if (current && current.text.length + current.separator.length + piece.text.length <= maxChars) {
+            current.text += current.separator + piece.text;
+            current.separator = piece.separator;
+        } else {
+            if (current) chunks.push(current);
+            current = { ...piece };
+        }
+    }
+    if (current) chunks.push(current);
+
+    return { prefix, chunks };
+}
+
+// Split text on the first boundary, recursing into finer boundaries for
+// pieces that are still too long; words longer than the limit are hard-cut
+function splitPieces(text, maxChars, boundaries) {
+    if (text.length <= maxChars) {
+        const separator = text.match(/\s*$/)[0];
+        return [{ text: text.slice(0, text.length - separator.length), separator }];
+    }
+
+    if (boundaries.length === 0) {
+        const pieces = [];
+        for (let i = 0; i < text.length; i += maxChars) {
+            pieces.push({ text: text.slice(i, i + maxChars), separator: '' });
+        }
+        return pieces;
+    }
+
+    const [boundary, ...finer] = boundaries;
+    const parts = text.split(boundary);
+    const pieces = [];
+
+    // split() with a capture group alternates text and separator
+    for (let i = 0; i < parts.length; i += 2) {
+        const part = parts[i];
+        const separator = parts[i + 1] || '';
+        // Indentation belongs to the layout, not to the text sent for translation
+        const leading = part.match(/^\s*/)[0];
+        if (leading && pieces.length > 0) pieces[pieces.length - 1].separator += leading;
+        if (part.length === leading.length) {
+            if (pieces.length > 0) pieces[pieces.length - 1].separator += separator;
+            continue;
+        }
+
+        const subPieces = splitPieces(part.slice(leading.length), maxChars, finer);
+        subPieces[subPieces.length - 1].separator += separator;
+        pieces.push(...subPieces);
+    }
+
+    return pieces;
+}
+
+// Function to rebuild text from translated chunks
+function joinChunks(prefix, chunks, translatedTexts) {
+    return prefix + chunks.map((chunk, i) => translatedTexts[i] + chunk.separator).join('');
+}
+
+// Function to group consecutive chunks into batches of at most `maxChars` characters
+// and `maxItems` chunks, so short segments share one provider request
+function packBatches(chunks, maxChars, maxItems) {
+    const batches = [];
+    let current = [];
+    let size = 0;
+    for (const chunk of chunks) {
+        if (current.length > 0 && (size + chunk.text.length > maxChars || current.length >= maxItems)) {
+            batches.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(chunk);
+        size += chunk.text.length;
+    }
+    if (current.length > 0) batches.push(current);
+
+    return batches;
+}
+
+// Function to run async tasks with a concurrency limit, keeping result order
+async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function runNext() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runners = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        runners.push(runNext());
+    }
+    await Promise.all(runners);
+
+    return results;
+}
+
+// Function to retry an async operation with exponential backoff
+async function withRetry(operation, { retries, delayMs, shouldRetry = () => true }) {
+    let attempt = 0;
+    while (true) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+            await new Promise(resolve => setTimeout(resolve, delayMs * 2 ** attempt));
+            attempt++;
+        }
+    }
+}
+
+module.exports = {
+    splitIntoChunks,
+    joinChunks,
+    packBatches,
+    runWithConcurrency,
+    withRetry
+};
@@ -0,0 +1,138 @@
+const AdmZip = require('adm-zip');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { inspectZip } = require('./file-validation');
+
+// Parts of a .docx package that hold translatable text. Tables live inside
+// document.xml; headers and footers are numbered (header1.xml, footer2.xml, ...)
+const TEXT_PART_PATTERN = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+// Run properties that differ between otherwise identical runs (spell-check
+// language, proofing flags) and should not split a paragraph into segments
+const IGNORED_RUN_PROPERTIES = ['w:lang', 'w:noProof'];
+
+// Function to translate a .docx in place, keeping styles, tables and run formatting.
+// `translateSegments` receives every text segment at once and resolves to their translations
+async function translateDocx(inputPath, outputPath, translateSegments) {
+    const { zip, documents, segments } = readDocx(inputPath);
+
+    if (segments.length === 0) {
+        throw new Error('No translatable text found in DOCX file');
+    }
+
+    const translations = await translateSegments(segments.map(segment => segment.text));
+
+    segments.forEach(({ nodes, leading, trailing }, i) => {
+        setText(nodes[0], `${leading}${translations[i]}${trailing}`);
+        nodes.slice(1).forEach(node => setText(node, ''));
+    });
+
+    for (const { entry, doc } of documents) {
+        zip.updateFile(entry.entryName, Buffer.from(new XMLSerializer().serializeToString(doc), 'utf8'));
+    }
+
+    zip.writeZip(outputPath);
+    return outputPath;
+}
+
+// Function to extract the plain text of a .docx, one segment per line
+function extractDocxText(inputPath) {
+    const { segments } = readDocx(inputPath);
+    return segments.map(segment => segment.text).join('\n');
+}
+
+// Parse every text part of the package and collect its segments in document order
+function readDocx(inputPath) {
+    // Checked before anything is inflated, as DOCX files inside ZIPs never went through the upload check
+    const rejection = inspectZip(inputPath);
+    if (rejection) {
+        throw new Error(`Invalid DOCX file: ${rejection.error}`);
+    }
+
+    const zip = new AdmZip(inputPath);
+    const parts = zip.getEntries().filter(entry => TEXT_PART_PATTERN.test(entry.entryName));
+
+    if (!parts.some(entry => entry.entryName === 'word/document.xml')) {
+        throw new Error('Invalid DOCX file: word/document.xml not found');
+    }
+
+    const documents = [];
+    const segments = [];
+
+    for (const entry of parts) {
+        const doc = new DOMParser().parseFromString(entry.getData().toString('utf8'), 'application/xml');
+        documents.push({ entry, doc });
+
+        for (const paragraph of Array.from(doc.getElementsByTagName('w:p'))) {
+            for (const nodes of getParagraphSegments(paragraph)) {
+                const text = nodes.map(node => node.textContent).join('');
+                if (text.trim() === '') continue;
+
+                // Translators trim surrounding whitespace, which would glue runs together
+                segments.push({
+                    nodes,
+                    text: text.trim(),
+                    leading: text.match(/^\s*/)[0],
+                    trailing: text.match(/\s*$/)[0]
+                });
+            }
+        }
+    }
+
+    return { zip, documents, segments };
+}
+
+// Group a paragraph's <w:t> nodes into segments of consecutive runs sharing
+// the same formatting, so bold/italic runs keep their own translated text
+function getParagraphSegments(paragraph) {
+    const segments = [];
+    let currentKey = null;
+    let current = [];
+
+    for (const run of Array.from(paragraph.getElementsByTagName('w:r'))) {
+        // Runs of nested paragraphs (text boxes) are handled with their own paragraph
+        if (closestParagraph(run) !== paragraph) continue;
+
+        const textNodes = Array.from(run.getElementsByTagName('w:t'))
+            .filter(node => closestParagraph(node) === paragraph);
+        if (textNodes.length === 0) continue;
+
+        const key = getRunFormattingKey(run);
+        if (key !== currentKey && current.length > 0) {
+            segments.push(current);
+            current = [];
+        }
+        currentKey = key;
+        current.push(...textNodes);
+    }
+
+    if (current.length > 0) segments.push(current);
+    return segments;
+}
+
+function closestParagraph(node) {
+    let parent = node.parentNode;
+    while (parent && parent.nodeName !== 'w:p') {
+        parent = parent.parentNode;
+    }
+    return parent;
+}
+
+function getRunFormattingKey(run) {
+    const properties = Array.from(run.childNodes).find(node => node.nodeName === 'w:rPr');
+    if (!properties) return '';
+
+    return Array.from(properties.childNodes)
+        .filter(node => node.nodeType === 1 && !IGNORED_RUN_PROPERTIES.includes(node.nodeName))
+        .map(node => new XMLSerializer().serializeToString(node))
+        .join('');
+}
+
+function setText(node, text) {
+    node.textContent = text;
+    node.setAttribute('xml:space', 'preserve');
+}
+
+module.exports = {
+    translateDocx,
+    extractDocxText
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const { isTextFormat, getContentType } = require('./formats');
+
+// Content types of the result files; text formats bring their own
+const CONTENT_TYPES = {
+    '.zip': 'application/zip',
+    '.txt': 'text/plain',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.pdf': 'application/pdf',
+    '.xlf': 'application/xliff+xml'
+};
+
+// Function to stream a stored result to the client as a file download. Names may be
+// non-ASCII (`日本語.txt`), so res.attachment() writes an ASCII fallback and the UTF-8 `filename*`
+async function sendDownload(res, storage, key) {
+    const stream = await storage.createReadStream(key);
+
+    try {
+        res.attachment(path.basename(key));
+
+        const ext = path.extname(key).toLowerCase();
+        if (CONTENT_TYPES[ext]) {
+            res.set('Content-Type', CONTENT_TYPES[ext]);
+        } else if (isTextFormat(ext)) {
+            res.set('Content-Type', getContentType(ext));
+        }
+    } catch (error) {
+        stream.destroy();
+        throw error;
+    }
+
+    stream.on('error', (err) => {
+        console.error(`Error downloading ${key}:`, err);
+        // Don't attempt to send another response here as one has already been started
+        res.destroy(err);
+    });
+    stream.pipe(res);
+}
+
+module.exports = {
+    sendDownload
+};
@@ -0,0 +1,86 @@
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+
+// Character encodings of plain text files. Inputs are decoded from a byte order
+// mark, from UTF-8 when the bytes are valid UTF-8, and otherwise from the most
+// likely encoding chardet finds; outputs are written in a chosen encoding
+const DEFAULT_OUTPUT_ENCODING = 'utf-8';
+
+const BYTE_ORDER_MARKS = [
+    { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+    { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+    { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+// Function to check whether iconv-lite can read and write an encoding
+function isSupportedEncoding(encoding) {
+    return typeof encoding === 'string' && iconv.encodingExists(encoding);
+}
+
+// Function to write an encoding name the way it is usually spelled: `utf-8`, `windows-1252`, `shift_jis`
+function normalizeEncoding(encoding) {
+    return encoding.trim().toLowerCase().replace(/^utf(\d)/, 'utf-$1').replace(/^cp(\d{3,4})$/, 'windows-$1');
+}
+
+function findByteOrderMark(buffer) {
+    return BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte)) || null;
+}
+
+function isValidUtf8(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Function to guess the encoding of a text. Returns { encoding, confidence (0-1), bom }
+function detectEncoding(buffer) {
+    const bom = findByteOrderMark(buffer);
+    if (bom) return { encoding: bom.encoding, confidence: 1, bom: true };
+
+    // Plain ASCII is valid UTF-8 as well; other encodings rarely are by accident
+    if (isValidUtf8(buffer)) return { encoding: 'utf-8', confidence: 1, bom: false };
+
+    const candidate = chardet.analyse(buffer)
+        .find(match => isSupportedEncoding(match.name) && !/^utf-(16|32)/i.test(match.name));
+    if (!candidate) return { encoding: 'windows-1252', confidence: 0, bom: false };
+
+    // Like browsers, read ISO-8859-1 as its superset windows-1252 (curly quotes, euro sign)
+    const name = normalizeEncoding(candidate.name);
+    return { encoding: name === 'iso-8859-1' ? 'windows-1252' : name, confidence: candidate.confidence / 100, bom: false };
+}
+
+// Function to decode the bytes of a text file. `encoding` overrides detection
+// (a byte order mark is still dropped). Returns { text, encoding, confidence, bom };
+// confidence is null when the encoding was given
+function decodeText(buffer, encoding) {
+    const detected = encoding
+        ? { encoding: normalizeEncoding(encoding), confidence: null, bom: Boolean(findByteOrderMark(buffer)) }
+        : detectEncoding(buffer);
+
+    // iconv-lite strips the byte order mark of the encoding it decodes
+    return { ...detected, text: iconv.decode(buffer, detected.encoding) };
+}
+
+// Function to encode a text for writing. Characters the encoding can't represent
+// would be replaced by '?', so such texts are written as UTF-8 instead.
+// Returns { buffer, encoding } with the encoding actually used
+function encodeText(text, encoding = DEFAULT_OUTPUT_ENCODING, { bom = false } = {}) {
+    const normalized = normalizeEncoding(encoding);
+    const buffer = iconv.encode(text, normalized, { addBOM: bom || /^utf-16$/.test(normalized) });
+    if (iconv.decode(buffer, normalized) === text) {
+        return { buffer, encoding: normalized };
+    }
+    return { buffer: iconv.encode(text, DEFAULT_OUTPUT_ENCODING, { addBOM: bom }), encoding: DEFAULT_OUTPUT_ENCODING };
+}
+
+module.exports = {
+    DEFAULT_OUTPUT_ENCODING,
+    isSupportedEncoding,
+    normalizeEncoding,
+    detectEncoding,
+    decodeText,
+    encodeText
+};
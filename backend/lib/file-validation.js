@@ -0,0 +1,159 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const path = require('path');
+const { TEXT_FORMAT_EXTENSIONS } = require('./formats');
+
+// ZIP limits, checked against the central directory before anything is extracted
+const ZIP_MAX_ENTRIES = parseInt(process.env.ZIP_MAX_ENTRIES) || 1000;
+const ZIP_MAX_UNCOMPRESSED_SIZE = parseInt(process.env.ZIP_MAX_UNCOMPRESSED_SIZE) || 500 * 1024 * 1024; // 500MB
+const ZIP_MAX_COMPRESSION_RATIO = parseInt(process.env.ZIP_MAX_COMPRESSION_RATIO) || 100;
+// Small entries (runs of blank lines, empty tables) legitimately compress very well
+const ZIP_RATIO_MIN_SIZE = 1024 * 1024; // 1MB
+
+const MAX_FILENAME_LENGTH = 200;
+const SNIFF_LENGTH = 8192; // bytes read to guess the file type
+
+// Content type each accepted extension must have
+const EXPECTED_TYPES = {
+    '.txt': 'txt',
+    '.docx': 'docx',
+    '.pdf': 'pdf',
+    '.zip': 'zip',
+    // Scanned pages and photos, read by OCR
+    '.png': 'png',
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.tif': 'tiff',
+    '.tiff': 'tiff',
+    // Markdown, HTML, subtitles and localization files are plain text as well
+    ...Object.fromEntries(TEXT_FORMAT_EXTENSIONS.map(extension => [extension, 'txt']))
+};
+
+// Function to reduce a client-supplied filename to a safe base name
+function sanitizeFilename(name) {
+    let cleaned = String(name || '')
+        .split(/[\\/]/)
+        .pop()
+        .replace(/[\x00-\x1f\x7f<>:"|?*]/g, '_')
+        .replace(/^[.\s]+/, '')
+        .trim();
+
+    if (cleaned.length > MAX_FILENAME_LENGTH) {
+        const extension = path.extname(cleaned).slice(0, 20);
+        cleaned = cleaned.slice(0, MAX_FILENAME_LENGTH - extension.length) + extension;
+    }
+    return cleaned || 'file';
+}
+
+// Function to normalise a ZIP entry name. Returns null for names that would
+// land outside the archive root (absolute paths, drive letters, `../`)
+function sanitizeEntryName(name) {
+    if (name.includes('\0')) return null;
+
+    const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return null;
+    if (normalized === '..' || normalized.startsWith('../')) return null;
+    return normalized;
+}
+
+// Function to guess a file's type from its magic bytes: 'zip', 'docx', 'pdf', 'png', 'jpeg', 'tiff', 'txt' or null
+function detectFileType(filePath) {
+    const header = readHeader(filePath);
+
+    // Local file header, or the end-of-central-directory record of an empty archive
+    const signature = header.length >= 4 ? header.readUInt32LE(0) : null;
+    if (signature === 0x04034b50 || signature === 0x06054b50) {
+        try {
+            const zip = new AdmZip(filePath);
+            return zip.getEntry('word/document.xml') ? 'docx' : 'zip';
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // PDF readers accept up to 1KB of junk before the signature
+    if (header.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+    // Little-endian ("II*\0") or big-endian ("MM\0*") TIFF
+    if (['49492a00', '4d4d002a'].includes(header.subarray(0, 4).toString('hex'))) return 'tiff';
+
+    // Text has no NUL bytes, unless it is UTF-16 with a byte order mark
+    const utf16 = header.length >= 2 && ((header[0] === 0xff && header[1] === 0xfe) || (header[0] === 0xfe && header[1] === 0xff));
+    if (utf16 || !header.includes(0)) return 'txt';
+
+    return null;
+}
+
+function readHeader(filePath) {
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_LENGTH, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Function to check that a file's content matches its extension.
+// Returns null, or a rejection { status, code, error } for the API response
+function checkFileType(filePath, extension) {
+    const expected = EXPECTED_TYPES[extension];
+    if (!expected) {
+        return { status: 415, code: 'UNSUPPORTED_FILE_TYPE', error: `Unsupported file format: ${extension || 'no extension'}` };
+    }
+
+    const detected = detectFileType(filePath);
+    // A .docx is itself a ZIP package, so an archive holding a Word document is still a ZIP
+    if (detected === expected || (expected === 'zip' && detected === 'docx')) return null;
+
+    return { status: 415, code: 'FILE_TYPE_MISMATCH', error: `File content does not match its ${extension} extension` };
+}
+
+// Function to check an archive against the entry count, size and compression
+// ratio limits and for unsafe entry names. Returns null or a rejection
+function inspectZip(zipPath) {
+    let entries;
+    try {
+        entries = new AdmZip(zipPath).getEntries();
+    } catch (error) {
+        return { status: 400, code: 'INVALID_ZIP', error: `Invalid ZIP file: ${error.message}` };
+    }
+
+    if (entries.length > ZIP_MAX_ENTRIES) {
+        return { status: 413, code: 'ZIP_TOO_MANY_ENTRIES', error: `ZIP file has ${entries.length} entries; the limit is ${ZIP_MAX_ENTRIES}` };
+    }
+
+    let totalSize = 0;
+    for (const entry of entries) {
+        if (sanitizeEntryName(entry.entryName) === null) {
+            return { status: 400, code: 'ZIP_UNSAFE_ENTRY_NAME', error: `ZIP entry has an unsafe path: ${entry.entryName}` };
+        }
+
+        // Extraction is capped at the declared size, except for entries declared empty
+        const { size, compressedSize } = entry.header;
+        if (size === 0 && compressedSize > 2) {
+            return { status: 422, code: 'ZIP_INVALID_ENTRY_SIZE', error: `ZIP entry ${entry.entryName} declares no content but has compressed data` };
+        }
+        if (size > ZIP_RATIO_MIN_SIZE && size / Math.max(compressedSize, 1) > ZIP_MAX_COMPRESSION_RATIO) {
+            return { status: 422, code: 'ZIP_COMPRESSION_RATIO', error: `ZIP entry ${entry.entryName} has a suspicious compression ratio` };
+        }
+
+        totalSize += size;
+        if (totalSize > ZIP_MAX_UNCOMPRESSED_SIZE) {
+            return { status: 413, code: 'ZIP_TOO_LARGE', error: `ZIP file expands to more than ${ZIP_MAX_UNCOMPRESSED_SIZE} bytes` };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    sanitizeFilename,
+    sanitizeEntryName,
+    detectFileType,
+    checkFileType,
+    inspectZip
+};
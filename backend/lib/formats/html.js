@@ -0,0 +1,203 @@
+const { createSegment, appendPlaceholder, restorePlaceholders } = require('./placeholders');
+
+// HTML is translated as runs of text: the text between two block-level tags,
+// with inline tags (<b>, <a>, <br>, ...) kept as placeholders so a sentence
+// stays in one piece. Tags themselves are never sent, except for the values
+// of a few human-readable attributes. Scripts, styles, code and elements
+// marked translate="no" or class="notranslate" are copied unchanged
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/?([a-zA-Z][\w:-]*)(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /(\s(?:alt|title|placeholder|aria-label)\s*=\s*)(?:"([^"]*)"|'([^']*)')/gi;
+const ENTITY_PATTERN = /&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi;
+const BASIC_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0' };
+
+const INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'img',
+    'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u',
+    'var', 'wbr'
+]);
+const UNTRANSLATED_ELEMENTS = new Set(['script', 'style', 'textarea', 'pre', 'code', 'kbd', 'samp', 'var', 'svg', 'math']);
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+function read(content) {
+    const segments = [];
+    const output = []; // literal strings, tags with translatable attributes, and text runs
+    let run = null;
+
+    const addSegment = segment => {
+        segments.push(segment);
+        return segments.length - 1;
+    };
+
+    const appendText = text => {
+        if (!run) {
+            if (text.trim() === '') {
+                output.push(text);
+                return;
+            }
+            run = { segment: createSegment() };
+        }
+        appendDecoded(run.segment, text);
+    };
+
+    // Ends the current run; its surrounding whitespace is kept out of the translation
+    const flush = () => {
+        if (!run) return;
+        const { segment } = run;
+        const leading = segment.text.match(/^\s*/)[0];
+        const trailing = segment.text.slice(leading.length).match(/\s*$/)[0];
+        segment.text = segment.text.slice(leading.length, segment.text.length - trailing.length);
+        output.push({ run: addSegment(segment), leading, trailing });
+        run = null;
+    };
+
+    // Tags are kept as they are, apart from the values of translatable attributes
+    const readTag = source => {
+        const attributes = [];
+        for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+            const value = match[2] !== undefined ? match[2] : match[3];
+            if (!/\p{L}/u.test(value)) continue;
+
+            const segment = createSegment();
+            appendDecoded(segment, value);
+            const start = match.index + match[1].length + 1; // after the opening quote
+            attributes.push({ start, end: start + value.length, index: addSegment(segment), quote: match[2] !== undefined ? '"' : '\'' });
+        }
+        return attributes.length > 0 ? { source, attributes } : source;
+    };
+
+    let offset = 0;
+    for (const match of content.matchAll(TOKEN_PATTERN)) {
+        if (match.index < offset) continue; // inside an element that was copied whole
+        if (match.index > offset) appendText(content.slice(offset, match.index));
+
+        const token = match[0];
+        offset = match.index + token.length;
+        const name = match[1] && match[1].toLowerCase();
+
+        // Comments, doctypes and processing instructions
+        if (!name) {
+            flush();
+            output.push(token);
+            continue;
+        }
+
+        const closing = token.startsWith('</');
+        if (!closing && !VOID_ELEMENTS.has(name) && !token.endsWith('/>') && isUntranslated(name, token)) {
+            const end = findClosingTag(content, name, offset);
+            const element = content.slice(match.index, end);
+            offset = end;
+            if (run && INLINE_ELEMENTS.has(name)) {
+                appendPlaceholder(run.segment, element);
+            } else {
+                flush();
+                output.push(element);
+            }
+            continue;
+        }
+
+        if (INLINE_ELEMENTS.has(name)) {
+            if (!run) run = { segment: createSegment() };
+            appendPlaceholder(run.segment, readTag(token));
+        } else {
+            flush();
+            output.push(readTag(token));
+        }
+    }
+    if (offset < content.length) appendText(content.slice(offset));
+    flush();
+
+    return {
+        segments,
+        render: translations => {
+            const renderSegment = (index, quote) => restorePlaceholders(encode(translations[index], quote), segments[index], renderValue);
+            const renderValue = value => {
+                if (typeof value === 'string') return value;
+
+                let tag = '';
+                let position = 0;
+                for (const attribute of value.attributes) {
+                    tag += value.source.slice(position, attribute.start) + renderSegment(attribute.index, attribute.quote);
+                    position = attribute.end;
+                }
+                return tag + value.source.slice(position);
+            };
+
+            return output.map(entry => {
+                if (entry.run === undefined) return renderValue(entry);
+                return encode(entry.leading) + renderSegment(entry.run) + encode(entry.trailing);
+            }).join('');
+        }
+    };
+}
+
+// Function to tell whether an element's content must not be translated
+function isUntranslated(name, tag) {
+    return UNTRANSLATED_ELEMENTS.has(name)
+        || /\stranslate\s*=\s*["']?no\b/i.test(tag)
+        || /\sclass\s*=\s*["'][^"']*\bnotranslate\b/i.test(tag);
+}
+
+// Function to find the end of an element, counting nested elements of the same name
+function findClosingTag(content, name, from) {
+    const pattern = new RegExp(`<(/?)${name}(?=[\\s/>])[^>]*>`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(content))) {
+        if (match[1]) {
+            depth--;
+        } else if (!match[0].endsWith('/>')) {
+            depth++;
+        }
+        if (depth === 0) return match.index + match[0].length;
+    }
+    return content.length; // Unclosed: the rest of the document belongs to it
+}
+
+// Function to append HTML text to a segment with the common entities decoded.
+// Other named entities are kept as placeholders
+function appendDecoded(segment, text) {
+    let offset = 0;
+    for (const match of text.matchAll(ENTITY_PATTERN)) {
+        segment.text += text.slice(offset, match.index);
+        const decoded = decodeEntity(match[0]);
+        if (decoded === null) {
+            appendPlaceholder(segment, match[0]);
+        } else {
+            segment.text += decoded;
+        }
+        offset = match.index + match[0].length;
+    }
+    segment.text += text.slice(offset);
+}
+
+function decodeEntity(entity) {
+    const name = entity.slice(1, -1);
+    if (name[0] === '#') {
+        const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : null;
+    }
+    const decoded = BASIC_ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? null : decoded;
+}
+
+function encode(text, quote) {
+    let encoded = text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\u00a0/g, '&nbsp;');
+    if (quote === '"') encoded = encoded.replace(/"/g, '&quot;');
+    if (quote === '\'') encoded = encoded.replace(/'/g, '&#39;');
+    return encoded;
+}
+
+module.exports = {
+    name: 'html',
+    extensions: ['.html', '.htm'],
+    contentTypes: {
+        '.html': 'text/html; charset=utf-8',
+        '.htm': 'text/html; charset=utf-8'
+    },
+    read
+};
@@ -0,0 +1,78 @@
+const markdown = require('./markdown');
+const html = require('./html');
+const subtitles = require('./subtitles');
+const localization = require('./localization');
+const { restorePlaceholders, stripPlaceholders, hasTranslatableText } = require('./placeholders');
+
+// Structured text formats. Each format's `read(content, options)` splits a file
+// into segments ({ text, values }, with markup and variables as placeholders)
+// and returns `render(translations)`, which rebuilds the file around them
+const formats = [markdown, html, subtitles, localization.json, localization.yaml, localization.po];
+
+const formatsByExtension = {};
+for (const format of formats) {
+    for (const extension of format.extensions) formatsByExtension[extension] = format;
+}
+
+const TEXT_FORMAT_EXTENSIONS = Object.keys(formatsByExtension);
+
+function isTextFormat(extension) {
+    return Boolean(formatsByExtension[extension]);
+}
+
+function getContentType(extension) {
+    const format = formatsByExtension[extension];
+    return format ? format.contentTypes[extension] : null;
+}
+
+function readContent(content, extension, options) {
+    const format = formatsByExtension[extension];
+    if (!format) throw new Error(`Unsupported file format: ${extension}`);
+
+    // A UTF-8 byte order mark would end up in the first segment or break parsers
+    return format.read(content.replace(/^\uFEFF/, ''), options);
+}
+
+// Function to translate a file's content. `translateSegments` receives every
+// segment with text at once and resolves to their translations;
+// `options.onSegments(sources, translations)` is told about them afterwards
+async function translateTextFormat(content, extension, translateSegments, options = {}) {
+    const { segments, render } = readContent(content, extension, options);
+
+    // Segments that are only markup or variables are not sent
+    const pending = segments.filter(hasTranslatableText);
+    if (pending.length === 0) {
+        throw new Error(`No translatable text found in ${extension} file`);
+    }
+
+    const translated = await translateSegments(pending.map(segment => segment.text));
+    const translations = new Map(pending.map((segment, i) => [segment, translated[i]]));
+
+    // Reports every pair with its markup and variables back in place (tags as in the source)
+    if (options.onSegments) {
+        const display = (text, segment) => restorePlaceholders(text, segment, value => (typeof value === 'string' ? value : value.source));
+        options.onSegments(
+            pending.map(segment => display(segment.text, segment)),
+            pending.map((segment, i) => display(translated[i], segment))
+        );
+    }
+
+    return render(segments.map(segment => (translations.has(segment) ? translations.get(segment) : segment.text)));
+}
+
+// Function to extract the translatable text of a file, one segment per line
+function extractTextFormat(content, extension) {
+    return readContent(content, extension)
+        .segments
+        .filter(hasTranslatableText)
+        .map(stripPlaceholders)
+        .join('\n');
+}
+
+module.exports = {
+    TEXT_FORMAT_EXTENSIONS,
+    isTextFormat,
+    getContentType,
+    translateTextFormat,
+    extractTextFormat
+};
@@ -0,0 +1,206 @@
+const YAML = require('yaml');
+const { I18N_PLACEHOLDER_PATTERN, protectPattern, restorePlaceholders } = require('./placeholders');
+
+// Localization files: only string values are translated. Keys, structure,
+// comments and variables such as {name}, {{count}} or %s stay as they are
+
+// Function to turn one string value into a segment, keeping surrounding whitespace aside
+function readValue(value, segments) {
+    const leading = value.match(/^\s*/)[0];
+    const trailing = value.slice(leading.length).match(/\s*$/)[0];
+    segments.push(protectPattern(value.slice(leading.length, value.length - trailing.length), I18N_PLACEHOLDER_PATTERN));
+    return { index: segments.length - 1, leading, trailing };
+}
+
+function renderValue(value, translations, segments) {
+    return value.leading + restorePlaceholders(translations[value.index], segments[value.index]) + value.trailing;
+}
+
+// JSON (i18next, vue-i18n, ARB, ...). ARB metadata under `@` keys is left alone
+function readJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON file: ${error.message}`);
+    }
+
+    const segments = [];
+    const values = [];
+    // Strings are replaced through their parent, so walking records where they live
+    const collect = (parent, key) => {
+        if (typeof key === 'string' && key.startsWith('@')) return;
+        const node = parent[key];
+        if (typeof node === 'string') {
+            values.push({ parent, key, ...readValue(node, segments) });
+        } else if (node && typeof node === 'object') {
+            Object.keys(node).forEach(childKey => collect(node, childKey));
+        }
+    };
+    const root = { data };
+    collect(root, 'data');
+
+    const indentation = (content.match(/^[ \t]+(?=")/m) || ['  '])[0];
+    const finalNewline = /\n\s*$/.test(content) ? '\n' : '';
+
+    return {
+        segments,
+        render: translations => {
+            for (const value of values) {
+                value.parent[value.key] = renderValue(value, translations, segments);
+            }
+            return JSON.stringify(root.data, null, indentation) + finalNewline;
+        }
+    };
+}
+
+// YAML (Rails, Symfony, ...), edited in place so comments and layout survive
+function readYaml(content) {
+    const doc = YAML.parseDocument(content);
+    if (doc.errors.length > 0) {
+        throw new Error(`Invalid YAML file: ${doc.errors[0].message}`);
+    }
+
+    const segments = [];
+    const values = [];
+    YAML.visit(doc, {
+        Scalar(key, node) {
+            if (key === 'key' || typeof node.value !== 'string') return;
+            values.push({ node, ...readValue(node.value, segments) });
+        }
+    });
+
+    return {
+        segments,
+        render: translations => {
+            for (const value of values) {
+                value.node.value = renderValue(value, translations, segments);
+            }
+            return doc.toString();
+        }
+    };
+}
+
+// gettext PO: every msgid (and msgid_plural) is translated into its msgstr.
+// The header entry is kept, with its Language set to the target language
+function readPo(content, { targetLanguage } = {}) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const finalNewline = /\n\s*$/.test(content) ? eol : '';
+    const entries = content.trim().split(/\r?\n(?:[ \t]*\r?\n)+/).map(parsePoEntry);
+    const segments = [];
+
+    for (const entry of entries) {
+        if (entry.msgid === null || entry.obsolete) continue;
+        if (entry.msgid === '') {
+            entry.header = true;
+            continue;
+        }
+        entry.translation = readValue(entry.msgid, segments);
+        if (entry.msgidPlural !== null) entry.pluralTranslation = readValue(entry.msgidPlural, segments);
+    }
+
+    return {
+        segments,
+        render: translations => entries.map(entry => {
+            if (entry.header) {
+                const header = targetLanguage
+                    ? entry.msgstr.replace(/^Language:.*$/m, `Language: ${targetLanguage}`)
+                    : entry.msgstr;
+                return [...entry.kept, ...formatPoString('msgstr', header)].join(eol);
+            }
+            if (!entry.translation) return entry.lines.join(eol);
+
+            const lines = [...entry.kept];
+            const singular = renderValue(entry.translation, translations, segments);
+            if (entry.pluralTranslation) {
+                const plural = renderValue(entry.pluralTranslation, translations, segments);
+                // Keep as many plural forms as the entry had (at least two)
+                const forms = Math.max(entry.pluralForms, 2);
+                for (let i = 0; i < forms; i++) {
+                    lines.push(...formatPoString(`msgstr[${i}]`, i === 0 ? singular : plural));
+                }
+            } else {
+                lines.push(...formatPoString('msgstr', singular));
+            }
+            return lines.join(eol);
+        }).join(eol + eol) + finalNewline
+    };
+}
+
+// Function to split a PO entry into the lines to keep (comments, msgctxt, msgid)
+// and its msgstr. Strings continued on following lines are joined
+function parsePoEntry(block) {
+    const lines = block.split(/\r?\n/);
+    const entry = { lines, kept: [], msgid: null, msgidPlural: null, msgstr: '', pluralForms: 0, obsolete: false };
+    let current = null;
+
+    for (const line of lines) {
+        const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"\s*$/);
+        const continuation = line.match(/^\s*"(.*)"\s*$/);
+
+        if (keyword) {
+            current = keyword[1];
+            const value = unescapePo(keyword[3]);
+            if (current === 'msgid') entry.msgid = value;
+            if (current === 'msgid_plural') entry.msgidPlural = value;
+            if (current.startsWith('msgstr')) {
+                entry.msgstr += value;
+                if (keyword[2] !== undefined) entry.pluralForms++;
+                continue;
+            }
+        } else if (continuation && current) {
+            const value = unescapePo(continuation[1]);
+            if (current === 'msgid') entry.msgid += value;
+            if (current === 'msgid_plural') entry.msgidPlural += value;
+            if (current.startsWith('msgstr')) {
+                entry.msgstr += value;
+                continue;
+            }
+        } else if (line.startsWith('#~')) {
+            entry.obsolete = true;
+        }
+        entry.kept.push(line);
+    }
+    return entry;
+}
+
+// Function to write a PO string, one line per embedded newline like gettext does
+function formatPoString(keyword, value) {
+    const pieces = value.split(/(?<=\n)/).filter(Boolean);
+    if (pieces.length <= 1) return [`${keyword} "${escapePo(value)}"`];
+    return [`${keyword} ""`, ...pieces.map(piece => `"${escapePo(piece)}"`)];
+}
+
+function unescapePo(value) {
+    return value.replace(/\\(.)/g, (match, character) => ({ n: '\n', t: '\t', r: '\r' }[character] || character));
+}
+
+function escapePo(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t')
+        .replace(/\r/g, '\\r');
+}
+
+module.exports = {
+    json: {
+        name: 'json',
+        extensions: ['.json'],
+        contentTypes: { '.json': 'application/json; charset=utf-8' },
+        read: readJson
+    },
+    yaml: {
+        name: 'yaml',
+        extensions: ['.yaml', '.yml'],
+        contentTypes: { '.yaml': 'application/yaml; charset=utf-8', '.yml': 'application/yaml; charset=utf-8' },
+        read: readYaml
+    },
+    po: {
+        name: 'po',
+        extensions: ['.po'],
+        contentTypes: { '.po': 'text/x-gettext-translation; charset=utf-8' },
+        read: readPo
+    }
+};
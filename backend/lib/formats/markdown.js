@@ -0,0 +1,121 @@
+const { protectPattern, restorePlaceholders } = require('./placeholders');
+
+// Markdown is translated line by line. Code (fenced and indented), front matter,
+// tables' separator rows, link reference definitions and HTML-only lines are
+// copied as they are; headings, list items, quotes and table cells keep their
+// markers and only the text after them is translated
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const BLOCK_PREFIX_PATTERN = /^(\s*(?:>\s?)*\s*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\d{1,9}[.)]\s+)?)/;
+const LITERAL_LINE_PATTERNS = [
+    /^\s*$/, // blank
+    /^\s{0,3}([-*_])(\s*\1){2,}\s*$/, // thematic break
+    /^\s{0,3}=+\s*$/, // setext heading underline
+    /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/, // table separator row
+    /^\s{0,3}\[[^\]]+\]:\s*\S+/, // link reference definition
+    /^\s*(<\/?[a-zA-Z][^>]*>\s*)+$/, // HTML tags only
+    /^\s*<!--.*-->\s*$/ // HTML comment
+];
+// Inline code, link targets, autolinks, inline HTML and bare URLs
+const INLINE_LITERAL_PATTERN = /`+[^`]*`+|\]\([^)]*\)|\]\[[^\]]*\]|<https?:\/\/[^>]+>|<\/?[a-zA-Z][^<>]*>|https?:\/\/[^\s)>\]]+/g;
+
+function read(content) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const segments = [];
+    const output = []; // literal lines, and { parts } for lines with text to translate
+    let fence = null;
+    let previous = null; // 'blank', 'code' or 'text'
+    let inList = false; // indented lines in a list continue its items rather than start code
+
+    const addSegment = text => {
+        segments.push(protectPattern(text, INLINE_LITERAL_PATTERN));
+        return segments.length - 1;
+    };
+
+    lines.forEach((line, index) => {
+        // Front matter: a YAML block at the very top
+        if (index === 0 && line === '---') {
+            fence = '---';
+            output.push(line);
+            return;
+        }
+        if (fence) {
+            output.push(line);
+            if (fence === '---' ? line === '---' : line.trim().startsWith(fence)) fence = null;
+            return;
+        }
+
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            output.push(line);
+            previous = 'text';
+            return;
+        }
+
+        // Indented code follows a blank line or more code, except inside lists
+        const indented = /^( {4}|\t)/.test(line);
+        if (indented && (previous === 'blank' || previous === 'code') && !inList) {
+            output.push(line);
+            previous = 'code';
+            return;
+        }
+
+        if (LITERAL_LINE_PATTERNS.some(pattern => pattern.test(line))) {
+            output.push(line);
+            previous = line.trim() === '' ? 'blank' : 'text';
+            return;
+        }
+
+        // Table rows: every cell on its own
+        if (/^\s*\|/.test(line)) {
+            const cells = line.split(/(?<!\\)(\|)/);
+            output.push({
+                parts: cells.map(cell => {
+                    if (cell === '|' || cell.trim() === '') return cell;
+                    const leading = cell.match(/^\s*/)[0];
+                    const trailing = cell.match(/\s*$/)[0];
+                    return { leading, index: addSegment(cell.trim()), trailing };
+                })
+            });
+            previous = 'text';
+            return;
+        }
+
+        const prefix = line.match(BLOCK_PREFIX_PATTERN)[1];
+        const rest = line.slice(prefix.length);
+        // Closing hashes of ATX headings and trailing spaces (hard line breaks) stay put
+        const suffix = rest.match(/(\s+#+)?\s*$/)[0];
+        const text = rest.slice(0, rest.length - suffix.length);
+
+        output.push({ parts: [prefix, { leading: '', index: addSegment(text), trailing: '' }, suffix] });
+        if (/[-*+]\s|\d[.)]\s/.test(prefix)) {
+            inList = true;
+        } else if (!indented && !/^\s/.test(line)) {
+            inList = false;
+        }
+        previous = 'text';
+    });
+
+    return {
+        segments,
+        render: translations => output.map(entry => {
+            if (typeof entry === 'string') return entry;
+            return entry.parts.map(part => {
+                if (typeof part === 'string') return part;
+                const translated = restorePlaceholders(translations[part.index], segments[part.index]);
+                return `${part.leading}${translated.replace(/\r?\n/g, ' ')}${part.trailing}`;
+            }).join('');
+        }).join(eol)
+    };
+}
+
+module.exports = {
+    name: 'markdown',
+    extensions: ['.md', '.markdown'],
+    contentTypes: {
+        '.md': 'text/markdown; charset=utf-8',
+        '.markdown': 'text/markdown; charset=utf-8'
+    },
+    read
+};
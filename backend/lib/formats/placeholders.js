@@ -0,0 +1,60 @@
+// Markup and variables inside a segment (inline tags, `{name}`, `%s`) are swapped
+// for numbered placeholders the providers leave alone, like glossary terms are.
+// Values may be strings or objects that `render` turns into strings on the way back
+const PLACEHOLDER_PATTERN = /_{1,2}\s*PH\s*(\d+)\s*_{1,2}/gi;
+
+// Variables used by common i18n libraries: {{name}}, {name}, {0}, ${name}, %{name},
+// printf-style %s / %1$d / %(name)s, and inline HTML tags
+const I18N_PLACEHOLDER_PATTERN = /\{\{[^{}]*\}\}|[$%]\{[^{}]*\}|\{[\w.$-]*(?:\s*,\s*[\w]+)?\s*\}|%\([\w.]+\)[sdif]|%(?:\d+\$)?[-+ 0#]*\d*(?:\.\d+)?[sdifxXoeEgGcu@%]|<\/?[a-zA-Z][^<>]*>/g;
+
+// Function to start a segment; text and placeholders are appended in order
+function createSegment() {
+    return { text: '', values: [] };
+}
+
+function appendPlaceholder(segment, value) {
+    segment.text += `__PH${segment.values.length}__`;
+    segment.values.push(value);
+}
+
+// Function to replace every match of `pattern` in a text with placeholders
+function protectPattern(text, pattern) {
+    const segment = createSegment();
+    let offset = 0;
+    for (const match of text.matchAll(pattern)) {
+        segment.text += text.slice(offset, match.index);
+        appendPlaceholder(segment, match[0]);
+        offset = match.index + match[0].length;
+    }
+    segment.text += text.slice(offset);
+    return segment;
+}
+
+// Function to put the original values back. A placeholder the provider dropped
+// is lost; one it invented is left as it is
+function restorePlaceholders(text, segment, render = value => value) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, rawIndex) => {
+        const value = segment.values[parseInt(rawIndex)];
+        return value === undefined ? placeholder : render(value);
+    });
+}
+
+// Function to read a segment's text without its placeholders
+function stripPlaceholders(segment) {
+    return segment.text.replace(PLACEHOLDER_PATTERN, ' ');
+}
+
+// Function to check whether a segment has anything to translate besides placeholders
+function hasTranslatableText(segment) {
+    return /\p{L}/u.test(stripPlaceholders(segment));
+}
+
+module.exports = {
+    I18N_PLACEHOLDER_PATTERN,
+    createSegment,
+    appendPlaceholder,
+    protectPattern,
+    restorePlaceholders,
+    stripPlaceholders,
+    hasTranslatableText
+};
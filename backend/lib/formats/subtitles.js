@@ -0,0 +1,69 @@
+const { protectPattern, restorePlaceholders } = require('./placeholders');
+
+// SRT and WebVTT subtitles: cue numbers, identifiers, timings and cue settings
+// are copied; the text lines of each cue are translated together. WebVTT
+// header, NOTE, STYLE and REGION blocks are copied as well
+const TIMING_PATTERN = /-->/;
+const VTT_METADATA_BLOCK_PATTERN = /^(WEBVTT|NOTE|STYLE|REGION)(\s|$)/;
+// Styling tags (<i>, <c.yellow>, <00:01.000>) and ASS-style override codes ({\an8})
+const CUE_MARKUP_PATTERN = /<[^<>]+>|\{\\[^{}]*\}/g;
+
+function read(content) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = content.split(/\r?\n/);
+    const segments = [];
+    const output = []; // literal lines, and { lines, index } for the text of a cue
+    let block = 'none'; // 'none' between blocks, 'metadata', 'cue' before the text, 'text'
+
+    const endCueText = () => {
+        const entry = output[output.length - 1];
+        if (entry && typeof entry === 'object') {
+            segments.push(protectPattern(entry.lines.join('\n'), CUE_MARKUP_PATTERN));
+            entry.index = segments.length - 1;
+        }
+    };
+
+    for (const line of lines) {
+        if (line.trim() === '') {
+            if (block === 'text') endCueText();
+            block = 'none';
+            output.push(line);
+            continue;
+        }
+
+        if (block === 'none') {
+            block = VTT_METADATA_BLOCK_PATTERN.test(line) ? 'metadata' : 'cue';
+        }
+
+        if (block === 'metadata') {
+            output.push(line);
+        } else if (block === 'cue') {
+            // Cue number or identifier, then the timing line
+            output.push(line);
+            if (TIMING_PATTERN.test(line)) block = 'text';
+        } else if (typeof output[output.length - 1] === 'object') {
+            output[output.length - 1].lines.push(line);
+        } else {
+            output.push({ lines: [line] });
+        }
+    }
+    if (block === 'text') endCueText();
+
+    return {
+        segments,
+        render: translations => output.map(entry => {
+            if (typeof entry === 'string') return entry;
+            return restorePlaceholders(translations[entry.index], segments[entry.index]).split(/\r?\n/).join(eol);
+        }).join(eol)
+    };
+}
+
+module.exports = {
+    name: 'subtitles',
+    extensions: ['.srt', '.vtt'],
+    contentTypes: {
+        '.srt': 'application/x-subrip; charset=utf-8',
+        '.vtt': 'text/vtt; charset=utf-8'
+    },
+    read
+};
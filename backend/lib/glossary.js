@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+// Glossaries are kept in Redis without a TTL: one JSON document per glossary
+// (with the `owner` API key that created it) plus a set of every glossary ID for listing
+const GLOSSARY_KEY_PREFIX = 'tranzo:glossary:';
+const GLOSSARY_INDEX_KEY = 'tranzo:glossaries';
+
+// Protected terms are swapped for placeholders like __GLS3__ before translation.
+// Providers sometimes add spaces or drop an underscore, so restoring is lenient
+const PLACEHOLDER_PATTERN = /_{1,2}\s*GLS\s*(\d+)\s*_{1,2}/gi;
+
+function createGlossaryStore(redisClient) {
+    function glossaryKey(id) {
+        return `${GLOSSARY_KEY_PREFIX}${id}`;
+    }
+
+    async function get(id) {
+        const value = await redisClient.get(glossaryKey(id));
+        return value ? JSON.parse(value) : null;
+    }
+
+    async function list() {
+        const ids = await redisClient.sMembers(GLOSSARY_INDEX_KEY);
+        const glossaries = await Promise.all(ids.map(get));
+        return glossaries.filter(Boolean);
+    }
+
+    async function save(glossary) {
+        await redisClient.multi()
+            .set(glossaryKey(glossary.id), JSON.stringify(glossary))
+            .sAdd(GLOSSARY_INDEX_KEY, glossary.id)
+            .exec();
+        return glossary;
+    }
+
+    async function create(fields) {
+        const now = new Date().toISOString();
+        return save({ id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now });
+    }
+
+    async function update(id, fields) {
+        const existing = await get(id);
+        if (!existing) return null;
+        return save({ ...existing, ...fields, id, updatedAt: new Date().toISOString() });
+    }
+
+    async function remove(id) {
+        const [deleted] = await redisClient.multi()
+            .del(glossaryKey(id))
+            .sRem(GLOSSARY_INDEX_KEY, id)
+            .exec();
+        return deleted > 0;
+    }
+
+    return {
+        get,
+        list,
+        create,
+        update,
+        remove
+    };
+}
+
+// Function to validate and normalise a glossary request body.
+// Returns { error } or { glossary } with only the accepted fields
+function parseGlossary(body, languageCodePattern) {
+    const { name, sourceLanguage, targetLanguage } = body || {};
+    const terms = body && body.terms !== undefined ? body.terms : [];
+    const doNotTranslate = body && body.doNotTranslate !== undefined ? body.doNotTranslate : [];
+
+    if (!name || typeof name !== 'string') {
+        return { error: 'Glossary name is required' };
+    }
+    for (const language of [sourceLanguage, targetLanguage]) {
+        if (typeof language !== 'string' || !languageCodePattern.test(language)) {
+            return { error: 'Glossary needs valid sourceLanguage and targetLanguage codes' };
+        }
+    }
+    if (!Array.isArray(terms) || terms.some(term =>
+        !term || typeof term.source !== 'string' || typeof term.target !== 'string' || !term.source.trim()
+    )) {
+        return { error: 'terms must be a list of { source, target } strings' };
+    }
+    if (!Array.isArray(doNotTranslate) || doNotTranslate.some(term => typeof term !== 'string' || !term.trim())) {
+        return { error: 'doNotTranslate must be a list of strings' };
+    }
+
+    return {
+        glossary: {
+            name: name.trim(),
+            sourceLanguage,
+            targetLanguage,
+            terms: terms.map(term => ({ source: term.source.trim(), target: term.target })),
+            doNotTranslate: doNotTranslate.map(term => term.trim())
+        }
+    };
+}
+
+// Build the list of protected entries; forced translations and do-not-translate
+// terms share one numbering so placeholders stay stable for the translation memory
+function getGlossaryEntries(glossary) {
+    return [
+        ...glossary.terms.map(term => ({ source: term.source, target: term.target })),
+        ...glossary.doNotTranslate.map(term => ({ source: term, target: null }))
+    ];
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to replace glossary terms in a text with placeholders. Matching is
+// case-insensitive on whole words, longest term first
+function protectTerms(text, glossary) {
+    const entries = getGlossaryEntries(glossary);
+    if (entries.length === 0) return { text, matches: [] };
+
+    const alternatives = entries
+        .map((entry, index) => ({ pattern: escapeRegExp(entry.source), index }))
+        .sort((a, b) => b.pattern.length - a.pattern.length);
+    const pattern = new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${alternatives.map(alt => `(${alt.pattern})`).join('|')})(?![\\p{L}\\p{N}])`,
+        'giu'
+    );
+
+    const matches = [];
+    const protectedText = text.replace(pattern, (match, ...groups) => {
+        const group = groups.findIndex((value, i) => i < alternatives.length && value !== undefined);
+        const { index } = alternatives[group];
+        matches.push({ index, original: match });
+        return `__GLS${index}__`;
+    });
+
+    return { text: protectedText, matches, entries };
+}
+
+// Function to put glossary translations back in place of the placeholders.
+// Returns the restored text and how often each term was applied
+function restoreTerms(text, protectedResult) {
+    const { matches, entries } = protectedResult;
+    if (!matches || matches.length === 0) return { text, applied: [] };
+
+    // Originals are consumed in order so do-not-translate terms keep their casing
+    const originals = {};
+    for (const { index, original } of matches) {
+        (originals[index] = originals[index] || []).push(original);
+    }
+
+    const counts = {};
+    const restoredText = text.replace(PLACEHOLDER_PATTERN, (placeholder, rawIndex) => {
+        const index = parseInt(rawIndex);
+        const entry = entries[index];
+        if (!entry) return placeholder;
+
+        counts[index] = (counts[index] || 0) + 1;
+        if (entry.target !== null) return entry.target;
+
+        const queue = originals[index] || [];
+        return queue.length > 1 ? queue.shift() : (queue[0] || entry.source);
+    });
+
+    const applied = Object.entries(counts).map(([index, count]) => ({
+        term: entries[index].source,
+        translation: entries[index].target === null ? entries[index].source : entries[index].target,
+        doNotTranslate: entries[index].target === null,
+        count
+    }));
+
+    return { text: restoredText, applied };
+}
+
+module.exports = {
+    createGlossaryStore,
+    parseGlossary,
+    protectTerms,
+    restoreTerms
+};
@@ -0,0 +1,110 @@
+// Language lists of the translation providers, normalised to
+// [{ code, name, targets: [code] }] sorted by name, where `targets` are the
+// languages a text in `code` can be translated into. Lists are cached per
+// provider so uploads can check their language pairs without a round trip
+const LANGUAGES_CACHE_TTL = (parseInt(process.env.LANGUAGES_CACHE_TTL_SECONDS) || 60 * 60) * 1000; // 1 hour
+
+// Function to write a language code in its usual form: `pt-BR`, `zh-Hant`, `sr-Latn-RS`
+function normalizeLanguageCode(code) {
+    return String(code).trim().replace(/_/g, '-').split('-').map((part, i) => {
+        if (i === 0) return part.toLowerCase();
+        if (part.length === 4) return part[0].toUpperCase() + part.slice(1).toLowerCase();
+        return part.length === 2 ? part.toUpperCase() : part.toLowerCase();
+    }).join('-');
+}
+
+// Function to normalise a provider's language list. Providers without a
+// `targets` list per language translate between every pair they know
+function normalizeLanguages(languages) {
+    const byCode = new Map();
+    for (const language of languages) {
+        const code = normalizeLanguageCode(language.code);
+        if (!code || byCode.has(code)) continue;
+        byCode.set(code, {
+            code,
+            name: (language.name || code).trim(),
+            targets: Array.isArray(language.targets) ? language.targets.map(normalizeLanguageCode) : null
+        });
+    }
+
+    const codes = [...byCode.keys()];
+    return [...byCode.values()]
+        .map(language => ({
+            ...language,
+            targets: [...new Set(language.targets || codes)]
+                .filter(target => target !== language.code && byCode.has(target))
+                .sort()
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function createLanguageCatalog(getProvider) {
+    const cache = new Map(); // provider → { languages, expires } or { pending }
+
+    // Function to get a provider's normalised language list, from the cache while it is fresh.
+    // Concurrent callers share one request to the provider
+    async function getLanguages(providerName) {
+        const cached = cache.get(providerName);
+        if (cached && cached.languages && cached.expires > Date.now()) return cached.languages;
+        if (cached && cached.pending) return cached.pending;
+
+        const pending = getProvider(providerName).getLanguages()
+            .then(languages => {
+                const normalized = normalizeLanguages(languages);
+                cache.set(providerName, { languages: normalized, expires: Date.now() + LANGUAGES_CACHE_TTL });
+                return normalized;
+            })
+            .catch(error => {
+                // A stale list is better than none while the provider is unreachable
+                if (cached && cached.languages) {
+                    cache.set(providerName, cached);
+                    return cached.languages;
+                }
+                cache.delete(providerName);
+                throw error;
+            });
+        cache.set(providerName, { ...cached, pending });
+        return pending;
+    }
+
+    // Function to find the requested language pairs a provider can't translate.
+    // `sourceLanguage` may be 'auto', in which case every target only has to be known.
+    // Returns [{ sourceLanguage, targetLanguage, error }], empty when all are supported
+    async function findUnsupportedPairs(providerName, sourceLanguage, targetLanguages) {
+        const languages = await getLanguages(providerName);
+        const byCode = new Map(languages.map(language => [language.code, language]));
+        const source = sourceLanguage === 'auto' ? null : byCode.get(normalizeLanguageCode(sourceLanguage));
+
+        if (sourceLanguage !== 'auto' && !source) {
+            return targetLanguages.map(targetLanguage => ({
+                sourceLanguage,
+                targetLanguage,
+                error: `${providerName} does not support source language ${sourceLanguage}`
+            }));
+        }
+
+        return targetLanguages
+            .filter(targetLanguage => {
+                const code = normalizeLanguageCode(targetLanguage);
+                return source ? !source.targets.includes(code) : !byCode.has(code);
+            })
+            .map(targetLanguage => ({
+                sourceLanguage,
+                targetLanguage,
+                error: source
+                    ? `${providerName} cannot translate ${sourceLanguage} into ${targetLanguage}`
+                    : `${providerName} does not support target language ${targetLanguage}`
+            }));
+    }
+
+    return {
+        getLanguages,
+        findUnsupportedPairs
+    };
+}
+
+module.exports = {
+    normalizeLanguageCode,
+    normalizeLanguages,
+    createLanguageCatalog
+};
@@ -0,0 +1,131 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Optical character recognition with a locally installed Tesseract, for scanned
+// PDF pages (rasterised with Poppler's pdftoppm) and for image uploads
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng'; // Tesseract codes, e.g. 'eng+deu'
+const OCR_DPI = parseInt(process.env.OCR_DPI) || 300;
+const OCR_TIMEOUT = parseInt(process.env.OCR_TIMEOUT) || 120000; // ms per page or image
+const OCR_TEMP_DIR = process.env.OCR_TEMP_DIR || 'temp';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+
+// Tesseract language data names of the ISO 639-1 codes used by the translation providers
+const TESSERACT_LANGUAGES = {
+    ar: 'ara', az: 'aze', bg: 'bul', bn: 'ben', ca: 'cat', cs: 'ces', da: 'dan', de: 'deu',
+    el: 'ell', en: 'eng', eo: 'epo', es: 'spa', et: 'est', eu: 'eus', fa: 'fas', fi: 'fin',
+    fr: 'fra', ga: 'gle', gl: 'glg', he: 'heb', hi: 'hin', hu: 'hun', id: 'ind', it: 'ita',
+    ja: 'jpn', ko: 'kor', lt: 'lit', lv: 'lav', ms: 'msa', nb: 'nor', nl: 'nld', pl: 'pol',
+    pt: 'por', ro: 'ron', ru: 'rus', sk: 'slk', sl: 'slv', sq: 'sqi', sv: 'swe', th: 'tha',
+    tl: 'tgl', tr: 'tur', uk: 'ukr', ur: 'urd', zh: 'chi_sim', zt: 'chi_tra'
+};
+
+let installedLanguages = null;
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: OCR_TIMEOUT, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (!error) return resolve(stdout);
+
+            const ocrError = error.code === 'ENOENT'
+                ? new Error(`OCR is not available: ${command} is not installed`)
+                : new Error(`${path.basename(command)} failed: ${(stderr || error.message).trim()}`);
+            ocrError.retryable = false;
+            reject(ocrError);
+        });
+    });
+}
+
+// Function to list the language data Tesseract has installed (asked once)
+function getInstalledLanguages() {
+    if (!installedLanguages) {
+        installedLanguages = run(TESSERACT_PATH, ['--list-langs'])
+            .then(output => output.split('\n').slice(1).map(line => line.trim()).filter(Boolean))
+            .catch(error => {
+                installedLanguages = null;
+                throw error;
+            });
+    }
+    return installedLanguages;
+}
+
+// Function to pick the Tesseract languages for a source language. A known source
+// is recognised in its own language when its data is installed, otherwise OCR_LANGUAGES is used
+async function getOcrLanguages(sourceLanguage) {
+    const wanted = sourceLanguage && TESSERACT_LANGUAGES[sourceLanguage.split('-')[0].toLowerCase()];
+    if (!wanted) return OCR_LANGUAGES;
+
+    const installed = await getInstalledLanguages();
+    if (installed.includes(wanted)) return wanted;
+
+    console.warn(`Tesseract has no ${wanted} language data, recognising with ${OCR_LANGUAGES}`);
+    return OCR_LANGUAGES;
+}
+
+// Function to recognise the text of an image file. Returns { text, confidence },
+// the confidence (0-1) being the mean over the recognised words, or null without any
+async function recognizeImage(imagePath, { sourceLanguage } = {}) {
+    const languages = await getOcrLanguages(sourceLanguage);
+    return withTempDir(async (dir) => {
+        const outputBase = path.join(dir, 'ocr');
+        // One run writes both the plain text and the per-word TSV with confidences
+        await run(TESSERACT_PATH, [imagePath, outputBase, '-l', languages, 'txt', 'tsv']);
+
+        const text = fs.readFileSync(`${outputBase}.txt`, 'utf8').trim();
+        return { text, confidence: readMeanConfidence(fs.readFileSync(`${outputBase}.tsv`, 'utf8')) };
+    });
+}
+
+// Function to recognise one page of a PDF (numbered from 1)
+async function recognizePdfPage(pdfPath, pageNumber, options = {}) {
+    return withTempDir(async (dir) => {
+        const imageBase = path.join(dir, 'page');
+        await run(PDFTOPPM_PATH, ['-r', String(OCR_DPI), '-f', String(pageNumber), '-l', String(pageNumber), '-png', '-singlefile', pdfPath, imageBase]);
+        return recognizeImage(`${imageBase}.png`, options);
+    });
+}
+
+// Tesseract's TSV has one row per layout element; words (level 5) carry a 0-100 confidence
+function readMeanConfidence(tsv) {
+    const confidences = tsv.split('\n').slice(1)
+        .map(line => line.split('\t'))
+        .filter(columns => columns[0] === '5' && columns[11] && columns[11].trim() !== '')
+        .map(columns => parseFloat(columns[10]))
+        .filter(confidence => confidence >= 0);
+    if (confidences.length === 0) return null;
+
+    const mean = confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length;
+    return Math.round(mean) / 100;
+}
+
+// Function to average OCR confidences, ignoring unknown (null) ones
+function getMeanConfidence(confidences) {
+    const known = confidences.filter(confidence => typeof confidence === 'number');
+    if (known.length === 0) return null;
+    return Math.round((known.reduce((sum, confidence) => sum + confidence, 0) / known.length) * 100) / 100;
+}
+
+async function withTempDir(callback) {
+    fs.mkdirSync(OCR_TEMP_DIR, { recursive: true });
+    const dir = await fs.promises.mkdtemp(path.join(OCR_TEMP_DIR, 'ocr-'));
+    try {
+        return await callback(dir);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+function isImage(extension) {
+    return IMAGE_EXTENSIONS.includes(extension);
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    isImage,
+    recognizeImage,
+    recognizePdfPage,
+    getMeanConfidence
+};
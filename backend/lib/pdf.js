@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+// TrueType/OpenType fonts for translated PDFs, tried in order: PDF_FONT_PATH (one or
+// more paths separated by the path delimiter, e.g. a CJK font) and then the bundled
+// DejaVu Sans, which covers Latin, Greek, Cyrillic, Arabic, Hebrew and more
+const PDF_FONT_PATHS = [
+    ...(process.env.PDF_FONT_PATH || '').split(path.delimiter).filter(Boolean),
+    require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf')
+];
+
+const PAGE_MARGIN = 50;
+const MAX_FONT_SIZE = 11;
+const MIN_FONT_SIZE = 4;
+const LINE_HEIGHT_RATIO = 1.3;
+
+// pdf.js operators that paint an image, i.e. what a scanned page is made of
+const IMAGE_OPERATORS = new Set([
+    pdfjs.OPS.paintImageXObject,
+    pdfjs.OPS.paintInlineImageXObject,
+    pdfjs.OPS.paintInlineImageXObjectGroup,
+    pdfjs.OPS.paintImageXObjectRepeat,
+    pdfjs.OPS.paintImageMaskXObject,
+    pdfjs.OPS.paintImageMaskXObjectGroup,
+    pdfjs.OPS.paintImageMaskXObjectRepeat
+]);
+
+// Function to extract the text of every page of a PDF, in page order.
+// `options.recognizePage(pageNumber)` may read pages without a text layer but with
+// images (scanned pages) by OCR, resolving to { text, confidence }; such pages get `ocr: true`.
+// A page OCR fails on is kept without text, unless no page of the PDF has any
+async function extractPdfPages(filePath, options = {}) {
+    const data = new Uint8Array(fs.readFileSync(filePath));
+    const pdf = await pdfjs.getDocument({
+        data,
+        isEvalSupported: false,
+        useSystemFonts: false,
+        verbosity: 0
+    }).promise;
+
+    const pages = [];
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const { width, height } = page.getViewport({ scale: 1 });
+            const textContent = await page.getTextContent();
+
+            // Rebuild lines from the text items, honouring end-of-line markers
+            let text = '';
+            for (const item of textContent.items) {
+                if (typeof item.str !== 'string') continue;
+                text += item.str;
+                if (item.hasEOL) text += '\n';
+            }
+            text = text.trim();
+
+            // Only pages without text are checked for images; blank pages have none to read
+            let hasImages = false;
+            if (text === '' && options.recognizePage) {
+                const { fnArray } = await page.getOperatorList();
+                hasImages = fnArray.some(operator => IMAGE_OPERATORS.has(operator));
+            }
+
+            pages.push({ text, width, height, hasImages });
+            page.cleanup();
+        }
+    } finally {
+        await pdf.destroy();
+    }
+
+    let ocrError = null;
+    if (options.recognizePage) {
+        for (const [index, page] of pages.entries()) {
+            if (page.text !== '' || !page.hasImages) continue;
+            try {
+                const { text, confidence } = await options.recognizePage(index + 1);
+                Object.assign(page, { text, confidence, ocr: true });
+            } catch (error) {
+                if (error.cancelled) throw error;
+                console.warn(`OCR of PDF page ${index + 1} failed, keeping it without text: ${error.message}`);
+                ocrError = error;
+            }
+        }
+    }
+
+    // Image-only (scanned) PDFs have pages but no text layer at all
+    if (pages.length > 0 && pages.every(page => page.text === '')) {
+        if (ocrError) throw ocrError;
+        throw new Error(options.recognizePage
+            ? 'No text could be recognised in the PDF'
+            : 'PDF has no extractable text layer (it looks like a scanned or image-only document)');
+    }
+
+    return pages.map(({ hasImages, ...page }) => page);
+}
+
+const fontCache = new Map(); // path → { data, characters }
+
+function loadFont(fontPath) {
+    if (!fontCache.has(fontPath)) {
+        const data = fs.readFileSync(fontPath);
+        fontCache.set(fontPath, { data, characters: new Set(fontkit.create(data).characterSet) });
+    }
+    return fontCache.get(fontPath);
+}
+
+// Function to pick the first configured font that has every character of the texts.
+// Throws when none has, rather than writing the missing characters as '?'
+function selectFont(texts) {
+    const characters = new Set();
+    for (const text of texts) {
+        for (const char of text) {
+            if (char !== ' ' && char !== '\n') characters.add(char.codePointAt(0));
+        }
+    }
+
+    let missing = null;
+    for (const fontPath of PDF_FONT_PATHS) {
+        let font;
+        try {
+            font = loadFont(fontPath);
+        } catch (error) {
+            console.warn(`Cannot load PDF font ${fontPath}: ${error.message}`);
+            continue;
+        }
+        const fontMissing = [...characters].filter(codePoint => !font.characters.has(codePoint));
+        if (fontMissing.length === 0) return font;
+        if (!missing || fontMissing.length < missing.length) missing = fontMissing;
+    }
+
+    const error = new Error(`No PDF font has the characters ${String.fromCodePoint(...(missing || []).slice(0, 10))}; set PDF_FONT_PATH to a font that covers the target language`);
+    error.retryable = false;
+    throw error;
+}
+
+// Function to write translated page texts into a new PDF, one page per source page.
+// Text that doesn't fit at the smallest font size continues on extra pages of the same size
+async function writeTranslatedPdf(pages, outputPath) {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.registerFontkit(fontkit);
+    const texts = pages.map(page => cleanText(page.text || ''));
+    const font = await pdfDoc.embedFont(selectFont(texts).data, { subset: true });
+
+    for (const [index, { width, height }] of pages.entries()) {
+        let page = pdfDoc.addPage([width, height]);
+        const safeText = texts[index];
+        const maxWidth = width - PAGE_MARGIN * 2;
+        const maxHeight = height - PAGE_MARGIN * 2;
+
+        // Shrink the font until the translated text fits on the original page size
+        let fontSize = MAX_FONT_SIZE;
+        let lines = wrapText(safeText, font, fontSize, maxWidth);
+        while (fontSize > MIN_FONT_SIZE && lines.length * fontSize * LINE_HEIGHT_RATIO > maxHeight) {
+            fontSize -= 0.5;
+            lines = wrapText(safeText, font, fontSize, maxWidth);
+        }
+
+        const lineHeight = fontSize * LINE_HEIGHT_RATIO;
+        let y = height - PAGE_MARGIN - fontSize;
+        for (const line of lines) {
+            if (y < PAGE_MARGIN - fontSize) {
+                page = pdfDoc.addPage([width, height]);
+                y = height - PAGE_MARGIN - fontSize;
+            }
+            if (line) page.drawText(line, { x: PAGE_MARGIN, y, size: fontSize, font });
+            y -= lineHeight;
+        }
+    }
+
+    fs.writeFileSync(outputPath, await pdfDoc.save());
+    return outputPath;
+}
+
+// Turn every kind of whitespace into plain spaces and drop invisible control and format characters
+function cleanText(text) {
+    return text.replace(/[^\S\n]/g, ' ').replace(/[\p{Cc}\p{Cf}]/gu, match => (match === '\n' ? match : ''));
+}
+
+// Word-wrap text to the given width, keeping existing line breaks
+function wrapText(text, font, fontSize, maxWidth) {
+    const lines = [];
+
+    for (const paragraph of text.split('\n')) {
+        const words = paragraph.split(/\s+/).filter(Boolean);
+        let line = '';
+
+        for (const word of words) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (font.widthOfTextAtSize(candidate, fontSize) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+
+            // Break words that are wider than the whole line on their own
+            line = '';
+            for (const char of word) {
+                if (font.widthOfTextAtSize(line + char, fontSize) > maxWidth && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        }
+
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+module.exports = {
+    extractPdfPages,
+    writeTranslatedPdf
+};
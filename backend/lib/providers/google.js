@@ -0,0 +1,79 @@
+// Google Cloud Translation v3. Credentials come from GOOGLE_APPLICATION_CREDENTIALS
+// (or the metadata server when running on Google Cloud)
+const GOOGLE_CLOUD_PROJECT = process.env.GOOGLE_CLOUD_PROJECT;
+const GOOGLE_CLOUD_LOCATION = process.env.GOOGLE_CLOUD_LOCATION || 'global';
+
+// gRPC status codes worth retrying: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, INTERNAL, UNAVAILABLE
+const RETRYABLE_CODES = [4, 8, 13, 14];
+
+let client;
+let parent;
+
+// The client is created lazily so deployments without Google credentials still start
+async function getClient() {
+    if (!client) {
+        const { TranslationServiceClient } = require('@google-cloud/translate').v3;
+        client = new TranslationServiceClient();
+        const projectId = GOOGLE_CLOUD_PROJECT || await client.getProjectId();
+        parent = `projects/${projectId}/locations/${GOOGLE_CLOUD_LOCATION}`;
+    }
+    return { client, parent };
+}
+
+// Function to translate several chunks of text in one Google Cloud Translate request
+async function translateBatch(texts, { source, target }) {
+    try {
+        const { client, parent } = await getClient();
+        const [response] = await client.translateText({
+            parent,
+            contents: texts,
+            mimeType: 'text/plain',
+            sourceLanguageCode: source && source !== 'auto' ? source : undefined,
+            targetLanguageCode: target
+        });
+        return response.translations.map(translation => translation.translatedText);
+    } catch (error) {
+        console.error('Google translation failed:', error.message);
+        const translationError = new Error(`Google Translate error: ${error.message}`);
+        translationError.retryable = RETRYABLE_CODES.includes(error.code);
+        throw translationError;
+    }
+}
+
+// Function to translate one chunk of text with Google Cloud Translate
+async function translate(text, options) {
+    const [translated] = await translateBatch([text], options);
+    return translated;
+}
+
+// Function to detect the language of a text sample with Google Cloud Translate
+async function detect(text) {
+    const { client, parent } = await getClient();
+    const [response] = await client.detectLanguage({
+        parent,
+        content: text,
+        mimeType: 'text/plain'
+    });
+    const [best] = response.languages;
+    if (!best) return null;
+
+    return { language: best.languageCode, confidence: best.confidence };
+}
+
+// Function to get supported languages, shaped like LibreTranslate's /languages
+async function getLanguages() {
+    const { client, parent } = await getClient();
+    const [response] = await client.getSupportedLanguages({ parent, displayLanguageCode: 'en' });
+    return response.languages.map(language => ({
+        code: language.languageCode,
+        name: language.displayName
+    }));
+}
+
+module.exports = {
+    name: 'google',
+    translate,
+    translateBatch,
+    detect,
+    getLanguages
+};
@@ -0,0 +1,41 @@
+const libretranslate = require('./libretranslate');
+const google = require('./google');
+const mock = require('./mock');
+
+// Every provider exposes `translate(text, { source, target })`, `translateBatch(texts,
+// { source, target })` translating several texts in one request, `detect(text)`
+// resolving to { language, confidence (0-1) } or null, and `getLanguages()`
+const providers = {
+    [libretranslate.name]: libretranslate,
+    [google.name]: google,
+    [mock.name]: mock
+};
+
+// Deployment-wide defaults; uploads may pick another provider per request
+const DEFAULT_PROVIDER = process.env.TRANSLATION_PROVIDER || 'libretranslate';
+const FALLBACK_PROVIDER = process.env.TRANSLATION_FALLBACK_PROVIDER || null;
+
+[DEFAULT_PROVIDER, FALLBACK_PROVIDER].forEach(name => {
+    if (name && !providers[name]) {
+        throw new Error(`Unknown translation provider: ${name}`);
+    }
+});
+
+function hasProvider(name) {
+    return Object.prototype.hasOwnProperty.call(providers, name);
+}
+
+function getProvider(name) {
+    if (!hasProvider(name)) {
+        throw new Error(`Unknown translation provider: ${name}`);
+    }
+    return providers[name];
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    FALLBACK_PROVIDER,
+    providerNames: Object.keys(providers),
+    hasProvider,
+    getProvider
+};
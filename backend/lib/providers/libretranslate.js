@@ -0,0 +1,61 @@
+const axios = require('axios');
+
+// LibreTranslate API setup
+const LIBRETRANSLATE_URL = process.env.LIBRETRANSLATE_URL || 'http://localhost:5001';
+
+// Function to send several chunks of text to LibreTranslate in one request (`q` as an array)
+async function translateBatch(texts, { source, target }) {
+    try {
+        const response = await axios.post(`${LIBRETRANSLATE_URL}/translate`, {
+            q: texts,
+            source: source || 'auto',
+            target,
+        });
+        return response.data.translatedText;
+    } catch (error) {
+        console.error('LibreTranslate translation failed:', error.message);
+        // More detailed error message
+        let translationError;
+        if (error.response) {
+            translationError = new Error(`Translation service error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+            // Rate limiting and server errors are worth another attempt, bad requests are not
+            translationError.retryable = error.response.status === 429 || error.response.status >= 500;
+        } else if (error.request) {
+            translationError = new Error('Translation service unavailable - no response received');
+            translationError.retryable = true;
+        } else {
+            translationError = new Error(`Translation error: ${error.message}`);
+        }
+        throw translationError;
+    }
+}
+
+// Function to send one chunk of text to LibreTranslate
+async function translate(text, options) {
+    const [translated] = await translateBatch([text], options);
+    return translated;
+}
+
+// Function to detect the language of a text sample with LibreTranslate
+async function detect(text) {
+    const response = await axios.post(`${LIBRETRANSLATE_URL}/detect`, { q: text });
+    const [best] = response.data;
+    if (!best) return null;
+
+    // LibreTranslate reports confidence as a percentage
+    return { language: best.language, confidence: best.confidence / 100 };
+}
+
+// Function to get available languages from LibreTranslate
+async function getLanguages() {
+    const response = await axios.get(`${LIBRETRANSLATE_URL}/languages`);
+    return response.data;
+}
+
+module.exports = {
+    name: 'libretranslate',
+    translate,
+    translateBatch,
+    detect,
+    getLanguages
+};
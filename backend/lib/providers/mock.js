@@ -0,0 +1,39 @@
+// Deterministic local provider for tests and offline development.
+// It never calls out and tags each text with the target language.
+const MOCK_LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'de', name: 'German' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'fr', name: 'French' }
+];
+
+async function translate(text, { target }) {
+    return `[${target}] ${text}`;
+}
+
+async function translateBatch(texts, options) {
+    return Promise.all(texts.map(text => translate(text, options)));
+}
+
+// Recognises a few scripts so detection results are predictable in tests
+async function detect(text) {
+    if (/[\u0400-\u04FF]/.test(text)) return { language: 'ru', confidence: 1 };
+    if (/[\u3040-\u30FF]/.test(text)) return { language: 'ja', confidence: 1 };
+    if (/[\u4E00-\u9FFF]/.test(text)) return { language: 'zh', confidence: 1 };
+    return { language: 'en', confidence: 1 };
+}
+
+async function getLanguages() {
+    return MOCK_LANGUAGES.map(language => ({
+        ...language,
+        targets: MOCK_LANGUAGES.map(({ code }) => code)
+    }));
+}
+
+module.exports = {
+    name: 'mock',
+    translate,
+    translateBatch,
+    detect,
+    getLanguages
+};
@@ -0,0 +1,173 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+
+// Review exports written next to the translated file: a bilingual document
+// (source and translation side by side, as DOCX or HTML) and an XLIFF 2.0 file.
+// Both are built from the segments a job sent for translation, grouped per file
+const REVIEW_OUTPUTS = ['bilingual', 'xliff'];
+const BILINGUAL_FORMATS = ['docx', 'html'];
+
+// Function to start collecting the segments of a job
+function createReview() {
+    return { files: [] };
+}
+
+// Function to record the segments of one file. Segments that split into the
+// same number of paragraphs on both sides are aligned paragraph by paragraph
+function addReviewSegments(review, name, sources, targets) {
+    let file = review.files.find(candidate => candidate.name === name);
+    if (!file) {
+        file = { name, pairs: [] };
+        review.files.push(file);
+    }
+
+    sources.forEach((source, i) => {
+        const target = targets[i] || '';
+        if (!source || source.trim() === '') return;
+
+        const sourceParagraphs = splitParagraphs(source);
+        const targetParagraphs = splitParagraphs(target);
+        if (sourceParagraphs.length === targetParagraphs.length) {
+            sourceParagraphs.forEach((paragraph, j) => file.pairs.push({ source: paragraph, target: targetParagraphs[j] }));
+        } else {
+            file.pairs.push({ source: source.trim(), target: target.trim() });
+        }
+    });
+}
+
+function splitParagraphs(text) {
+    return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+// Function to write the review exports of a job. Returns { output: path } for every written file
+function writeReviewOutputs(review, { outputs, bilingualFormat, basePath, sourceLanguage, targetLanguage }) {
+    const written = {};
+    if (outputs.includes('bilingual')) {
+        const extension = bilingualFormat === 'html' ? 'html' : 'docx';
+        written.bilingual = `${basePath}_bilingual.${extension}`;
+        if (extension === 'html') {
+            fs.writeFileSync(written.bilingual, renderBilingualHtml(review, sourceLanguage, targetLanguage));
+        } else {
+            writeBilingualDocx(review, sourceLanguage, targetLanguage, written.bilingual);
+        }
+    }
+    if (outputs.includes('xliff')) {
+        written.xliff = `${basePath}.xlf`;
+        fs.writeFileSync(written.xliff, renderXliff(review, sourceLanguage, targetLanguage));
+    }
+    return written;
+}
+
+// Two-column table per file; the page is landscape to give both columns room
+function writeBilingualDocx(review, sourceLanguage, targetLanguage, outputPath) {
+    const cell = (text, bold) => {
+        const runProperties = bold ? '<w:rPr><w:b/></w:rPr>' : '';
+        const runs = text.split('\n')
+            .map((line, i) => `${i > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+            .join('');
+        return `<w:tc><w:tcPr><w:tcW w:w="2500" w:type="pct"/></w:tcPr><w:p><w:r>${runProperties}${runs}</w:r></w:p></w:tc>`;
+    };
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="999999"/>`;
+    const tableProperties = '<w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>'
+        + ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')
+        + '</w:tblBorders></w:tblPr><w:tblGrid><w:gridCol w:w="7000"/><w:gridCol w:w="7000"/></w:tblGrid>';
+
+    const body = review.files.map(file => {
+        const heading = review.files.length > 1
+            ? `<w:p><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${escapeXml(file.name)}</w:t></w:r></w:p>`
+            : '';
+        const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${cell(`Source (${sourceLanguage})`, true)}${cell(`Translation (${targetLanguage})`, true)}</w:tr>`;
+        const rows = file.pairs.map(pair => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${cell(pair.source)}${cell(pair.target)}</w:tr>`).join('');
+        // A table directly after another would merge with it
+        return `${heading}<w:tbl>${tableProperties}${header}${rows}</w:tbl><w:p/>`;
+    }).join('');
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+        + '</Types>', 'utf8'));
+    zip.addFile('_rels/.rels', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+        + '</Relationships>', 'utf8'));
+    zip.addFile('word/document.xml', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+        + body
+        + '<w:sectPr><w:pgSz w:w="16838" w:h="11906" w:orient="landscape"/>'
+        + '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr>'
+        + '</w:body></w:document>', 'utf8'));
+    zip.writeZip(outputPath);
+}
+
+function renderBilingualHtml(review, sourceLanguage, targetLanguage) {
+    const sections = review.files.map(file => {
+        const heading = review.files.length > 1 ? `<h2>${escapeXml(file.name)}</h2>\n` : '';
+        const rows = file.pairs.map(pair =>
+            `<tr><td lang="${escapeXml(sourceLanguage)}" dir="auto">${escapeXml(pair.source)}</td>`
+            + `<td lang="${escapeXml(targetLanguage)}" dir="auto">${escapeXml(pair.target)}</td></tr>`
+        ).join('\n');
+        return `${heading}<table>\n<thead><tr><th>Source (${escapeXml(sourceLanguage)})</th><th>Translation (${escapeXml(targetLanguage)})</th></tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Bilingual review</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2em; table-layout: fixed; }
+th, td { border: 1px solid #999; padding: 0.5em; vertical-align: top; text-align: start; white-space: pre-wrap; }
+th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+}
+
+// XLIFF 2.0 with one <file> per translated file and one unit per segment
+function renderXliff(review, sourceLanguage, targetLanguage) {
+    // A <file> needs at least one unit
+    const files = review.files.filter(file => file.pairs.length > 0).map((file, fileIndex) => {
+        const units = file.pairs.map((pair, i) => `    <unit id="u${i + 1}">
+      <segment state="translated">
+        <source>${escapeXml(pair.source)}</source>
+        <target>${escapeXml(pair.target)}</target>
+      </segment>
+    </unit>`).join('\n');
+        return `  <file id="f${fileIndex + 1}" original="${escapeXml(file.name)}">\n${units}\n  </file>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">
+${files}
+</xliff>
+`;
+}
+
+// Function to escape text for XML, dropping characters XML 1.0 does not allow
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    REVIEW_OUTPUTS,
+    BILINGUAL_FORMATS,
+    createReview,
+    addReviewSegments,
+    writeReviewOutputs
+};
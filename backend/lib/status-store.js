@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+
+// Job status is kept in one Redis hash per file ID so that it survives restarts
+// and is shared by every API and worker instance. Field values are JSON encoded.
+// Batches (one upload fanned out into several jobs) are stored the same way.
+// Every change to a job is announced on a pub/sub channel for live status streams.
+const STATUS_KEY_PREFIX = 'tranzo:status:';
+const STATUS_CHANNEL_PREFIX = 'tranzo:status-events:';
+const BATCH_KEY_PREFIX = 'tranzo:batch:';
+// Job history: sorted sets of file IDs scored by upload time, one for every job and one per API key
+const JOB_INDEX_KEY = 'tranzo:jobs';
+const OWNER_JOB_INDEX_PREFIX = 'tranzo:jobs:';
+// The same per status and per target language, for everyone (`*`) and per API key,
+// so filtered pages of the history are read from Redis rather than from every status
+const JOB_FILTER_INDEX_PREFIX = 'tranzo:jobs-by-';
+const JOB_QUERY_KEY_PREFIX = 'tranzo:jobs-query:'; // Short-lived results of combined filters
+const STATUS_TTL_SECONDS = parseInt(process.env.STATUS_TTL_SECONDS) || 7 * 24 * 60 * 60; // 1 week
+
+function createStatusStore(redisClient) {
+    let subscriber = null; // Pub/sub needs its own connection, opened on first use
+    let subscriberReady = null;
+
+    // Function to read a hash, or null when it is unknown or expired
+    async function readHash(key) {
+        const hash = await redisClient.hGetAll(key);
+        if (!hash || Object.keys(hash).length === 0) return null;
+
+        const status = {};
+        for (const [field, value] of Object.entries(hash)) {
+            status[field] = JSON.parse(value);
+        }
+        return status;
+    }
+
+    // Function to replace a hash entirely; `channel` is notified for job hashes.
+    // `index(transaction)` may queue more commands on the same transaction
+    async function writeHash(key, status, channel, index) {
+        const transaction = redisClient.multi()
+            .del(key)
+            .hSet(key, serialize(status))
+            .expire(key, STATUS_TTL_SECONDS);
+        if (channel) transaction.publish(channel, key);
+        if (index) index(transaction);
+        await transaction.exec();
+    }
+
+    // Function to merge fields into a hash and refresh its TTL
+    async function mergeHash(key, update, channel, index) {
+        const fields = serialize(update);
+        if (Object.keys(fields).length === 0) return;
+
+        const transaction = redisClient.multi()
+            .hSet(key, fields)
+            .expire(key, STATUS_TTL_SECONDS)
+            .publish(channel, key);
+        if (index) index(transaction);
+        await transaction.exec();
+    }
+
+    async function getStatusField(fileId, field) {
+        const value = await redisClient.hGet(statusKey(fileId), field);
+        return value === undefined || value === null ? null : JSON.parse(value);
+    }
+
+    // Function to store a job's whole status and file it under its status and target language
+    async function setStatus(fileId, status) {
+        const previousStatus = await getStatusField(fileId, 'status');
+        await writeHash(statusKey(fileId), status, statusChannel(fileId), transaction => {
+            indexJob(transaction, fileId, status, 'status', previousStatus, status.status);
+            indexJob(transaction, fileId, status, 'language', null, status.targetLanguage);
+        });
+    }
+
+    // Function to merge fields into a job's status. A new `status` moves the job between status indexes
+    async function updateStatus(fileId, update) {
+        if (update.status === undefined) {
+            return mergeHash(statusKey(fileId), update, statusChannel(fileId));
+        }
+
+        const [owner, uploadTime, previousStatus] = (await redisClient.hmGet(statusKey(fileId), ['owner', 'uploadTime', 'status']))
+            .map(value => (value === undefined || value === null ? null : JSON.parse(value)));
+        await mergeHash(statusKey(fileId), update, statusChannel(fileId), transaction => {
+            indexJob(transaction, fileId, { owner, uploadTime }, 'status', previousStatus, update.status);
+        });
+    }
+
+    // Function to call `listener` whenever one of the jobs changes.
+    // Resolves to a function that stops listening
+    async function subscribe(fileIds, listener) {
+        if (!subscriberReady) {
+            subscriber = redisClient.duplicate();
+            subscriber.on('error', error => console.error('Redis subscriber error:', error));
+            subscriberReady = subscriber.connect();
+        }
+        await subscriberReady;
+
+        const channels = fileIds.map(statusChannel);
+        await subscriber.subscribe(channels, listener);
+        return () => subscriber.unsubscribe(channels, listener).catch(error => {
+            console.error('Error unsubscribing from status events:', error);
+        });
+    }
+
+    // Function to add a job to the history of its owner (and the overall history)
+    async function addJob(fileId, owner, uploadTime) {
+        const score = new Date(uploadTime).getTime();
+        const transaction = redisClient.multi();
+        for (const key of [JOB_INDEX_KEY, ownerIndexKey(owner)]) {
+            transaction.zAdd(key, { score, value: fileId }).expire(key, STATUS_TTL_SECONDS);
+        }
+        await transaction.exec();
+    }
+
+    // Function to list job IDs newest first, for one owner or (null) for everyone.
+    // Jobs whose status has expired are dropped from the history on the way
+    async function listJobIds(owner) {
+        const key = owner ? ownerIndexKey(owner) : JOB_INDEX_KEY;
+        await pruneIndexes([key]);
+        return redisClient.zRange(key, 0, -1, { REV: true });
+    }
+
+    // Function to read one page of the job history, newest first, for one owner or (null)
+    // for everyone. Jobs match any of `statuses` and any of `languages` (empty: all).
+    // Resolves to { fileIds, total }
+    async function listJobs(owner, { statuses = [], languages = [], offset = 0, limit = 20 } = {}) {
+        const baseKey = owner ? ownerIndexKey(owner) : JOB_INDEX_KEY;
+        const filters = [
+            statuses.map(status => filterIndexKey('status', owner, status)),
+            languages.map(language => filterIndexKey('language', owner, language))
+        ].filter(keys => keys.length > 0);
+        await pruneIndexes([baseKey, ...filters.flat()]);
+
+        // Filters are combined into a temporary set: a union per filter, intersected with each other
+        let key = baseKey;
+        if (filters.length > 0) {
+            key = `${JOB_QUERY_KEY_PREFIX}${crypto.randomUUID()}`;
+            const keys = filters.map((_, i) => `${key}:${i}`);
+            const transaction = redisClient.multi();
+            filters.forEach((filterKeys, i) => transaction.zUnionStore(keys[i], filterKeys, { AGGREGATE: 'MAX' }));
+            transaction.zInterStore(key, keys, { AGGREGATE: 'MAX' }).del(keys).expire(key, 60);
+            await transaction.exec();
+        }
+
+        try {
+            const [total, fileIds] = await redisClient.multi()
+                .zCard(key)
+                .zRange(key, offset, offset + limit - 1, { REV: true })
+                .exec();
+            return { fileIds, total };
+        } finally {
+            if (key !== baseKey) await redisClient.del(key);
+        }
+    }
+
+    // Function to drop jobs older than the status TTL from history indexes
+    async function pruneIndexes(keys) {
+        const transaction = redisClient.multi();
+        keys.forEach(key => transaction.zRemRangeByScore(key, '-inf', Date.now() - STATUS_TTL_SECONDS * 1000));
+        await transaction.exec();
+    }
+
+    return {
+        getStatus: fileId => readHash(statusKey(fileId)),
+        getStatusField,
+        setStatus,
+        updateStatus,
+        // Counters are stored as plain integers, which are valid JSON as well. The TTL is
+        // refreshed like any other write, so a counter landing after the job's hash expired
+        // cannot leave a hash behind that never expires
+        incrementStatus: (fileId, field, amount = 1) => redisClient.multi()
+            .hIncrBy(statusKey(fileId), field, amount)
+            .expire(statusKey(fileId), STATUS_TTL_SECONDS)
+            .publish(statusChannel(fileId), field)
+            .exec(),
+        subscribe,
+        addJob,
+        listJobIds,
+        listJobs,
+        getBatch: batchId => readHash(`${BATCH_KEY_PREFIX}${batchId}`),
+        setBatch: (batchId, batch) => writeHash(`${BATCH_KEY_PREFIX}${batchId}`, batch)
+    };
+}
+
+function statusKey(fileId) {
+    return `${STATUS_KEY_PREFIX}${fileId}`;
+}
+
+function ownerIndexKey(owner) {
+    return `${OWNER_JOB_INDEX_PREFIX}${owner}`;
+}
+
+function filterIndexKey(field, owner, value) {
+    return `${JOB_FILTER_INDEX_PREFIX}${field}:${owner || '*'}:${value}`;
+}
+
+// Function to queue moving a job from one value of a filter index to another, in the
+// overall and its owner's index. Jobs are scored by upload time like the history itself
+function indexJob(transaction, fileId, { owner, uploadTime }, field, previousValue, value) {
+    if (!uploadTime || value === undefined || value === null || previousValue === value) return;
+
+    const score = new Date(uploadTime).getTime();
+    for (const scope of owner ? [null, owner] : [null]) {
+        if (previousValue) transaction.zRem(filterIndexKey(field, scope, previousValue), fileId);
+        const key = filterIndexKey(field, scope, value);
+        transaction.zAdd(key, { score, value: fileId }).expire(key, STATUS_TTL_SECONDS);
+    }
+}
+
+function statusChannel(fileId) {
+    return `${STATUS_CHANNEL_PREFIX}${fileId}`;
+}
+
+function serialize(status) {
+    const fields = {};
+    for (const [field, value] of Object.entries(status)) {
+        if (value !== undefined) fields[field] = JSON.stringify(value);
+    }
+    return fields;
+}
+
+module.exports = {
+    STATUS_TTL_SECONDS,
+    createStatusStore
+};
@@ -0,0 +1,18 @@
+const local = require('./local');
+const s3 = require('./s3');
+
+// Where translated results are kept. Uploads and temporary files always stay on
+// the local disk because workers read them directly. Every backend exposes
+// `put(key, filePath)`, `read(key)`, `createReadStream(key)`, `exists(key)` and `remove(key)`
+const backends = {
+    [local.name]: local,
+    [s3.name]: s3
+};
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+if (!backends[STORAGE_BACKEND]) {
+    throw new Error(`Unknown storage backend: ${STORAGE_BACKEND}`);
+}
+
+module.exports = backends[STORAGE_BACKEND];
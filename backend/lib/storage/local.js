@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Results on the local disk, one folder per job under STORAGE_LOCAL_ROOT
+const ROOT = process.env.STORAGE_LOCAL_ROOT || 'translated';
+
+function resolveKey(key) {
+    const filePath = path.resolve(ROOT, key);
+    if (!filePath.startsWith(path.resolve(ROOT) + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+}
+
+// Function to store a local file under a key. The file is moved, not copied
+async function put(key, filePath) {
+    const target = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+        await fs.promises.rename(filePath, target);
+    } catch (error) {
+        // rename() can't cross file systems (e.g. a separate uploads volume)
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(filePath, target);
+        await fs.promises.unlink(filePath);
+    }
+}
+
+async function read(key) {
+    return fs.promises.readFile(resolveKey(key));
+}
+
+async function createReadStream(key) {
+    return fs.createReadStream(resolveKey(key));
+}
+
+async function exists(key) {
+    return fs.existsSync(resolveKey(key));
+}
+
+// Function to delete a stored file and its job folder once that is empty
+async function remove(key) {
+    const filePath = resolveKey(key);
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+}
+
+module.exports = {
+    name: 'local',
+    root: ROOT,
+    put,
+    read,
+    createReadStream,
+    exists,
+    remove
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+
+// S3-compatible object storage (AWS S3, MinIO, ...). Credentials come from the
+// usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY environment variables.
+// Set S3_ENDPOINT for anything that isn't AWS, e.g. http://localhost:9000 for MinIO
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_PREFIX = process.env.S3_PREFIX || '';
+const S3_ENDPOINT = process.env.S3_ENDPOINT;
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+// MinIO and most other S3 stand-ins only support path-style bucket URLs
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(S3_ENDPOINT);
+
+let client;
+let commands;
+
+// The client is created lazily so local-storage deployments never load the SDK
+function getClient() {
+    if (!client) {
+        if (!S3_BUCKET) {
+            throw new Error('S3_BUCKET must be set to store results in S3');
+        }
+        const sdk = require('@aws-sdk/client-s3');
+        client = new sdk.S3Client({
+            region: S3_REGION,
+            endpoint: S3_ENDPOINT,
+            forcePathStyle: S3_FORCE_PATH_STYLE
+        });
+        commands = sdk;
+    }
+    return { client, commands };
+}
+
+function objectParams(key) {
+    return { Bucket: S3_BUCKET, Key: `${S3_PREFIX}${key}` };
+}
+
+// Function to upload a local file under a key; the local copy is removed afterwards
+async function put(key, filePath) {
+    const { client, commands } = getClient();
+    const { size } = await fs.promises.stat(filePath);
+    await client.send(new commands.PutObjectCommand({
+        ...objectParams(key),
+        Body: fs.createReadStream(filePath),
+        ContentLength: size
+    }));
+    await fs.promises.unlink(filePath);
+}
+
+async function read(key) {
+    const { client, commands } = getClient();
+    const response = await client.send(new commands.GetObjectCommand(objectParams(key)));
+    return Buffer.from(await response.Body.transformToByteArray());
+}
+
+async function createReadStream(key) {
+    const { client, commands } = getClient();
+    const response = await client.send(new commands.GetObjectCommand(objectParams(key)));
+    return response.Body;
+}
+
+async function exists(key) {
+    const { client, commands } = getClient();
+    try {
+        await client.send(new commands.HeadObjectCommand(objectParams(key)));
+        return true;
+    } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+async function remove(key) {
+    const { client, commands } = getClient();
+    await client.send(new commands.DeleteObjectCommand(objectParams(key)));
+}
+
+module.exports = {
+    name: 's3',
+    put,
+    read,
+    createReadStream,
+    exists,
+    remove
+};
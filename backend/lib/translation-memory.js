@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// Translation memory: every translated segment is stored in a Redis hash keyed by
+// provider, language pair and a hash of the source text, so re-uploads of revised
+// documents only pay for the segments that actually changed.
+const TM_KEY_PREFIX = 'tranzo:tm:';
+const TM_TTL_SECONDS = parseInt(process.env.TRANSLATION_MEMORY_TTL_SECONDS) || 30 * 24 * 60 * 60; // 30 days
+const SCAN_BATCH_SIZE = 200;
+
+function createTranslationMemory(redisClient) {
+    function entryKey({ text, provider, source, target }) {
+        const digest = crypto.createHash('sha256').update(text).digest('hex');
+        return `${TM_KEY_PREFIX}${provider}:${source}:${target}:${digest}`;
+    }
+
+    // Key pattern for SCAN; unspecified parts of the filter match anything
+    function filterPattern({ provider, source, target } = {}) {
+        return `${TM_KEY_PREFIX}${provider || '*'}:${source || '*'}:${target || '*'}:*`;
+    }
+
+    // Function to look up a stored translation, counting the hit
+    async function lookup(segment) {
+        const key = entryKey(segment);
+        const translation = await redisClient.hGet(key, 'translation');
+        if (typeof translation !== 'string') return null;
+
+        await redisClient.hIncrBy(key, 'hits', 1);
+        return translation;
+    }
+
+    // Function to store a translated segment
+    async function store(segment, translation) {
+        const key = entryKey(segment);
+        await redisClient.multi()
+            .hSet(key, {
+                text: segment.text,
+                translation,
+                provider: segment.provider,
+                source: segment.source,
+                target: segment.target,
+                hits: 0,
+                createdAt: new Date().toISOString()
+            })
+            .expire(key, TM_TTL_SECONDS)
+            .exec();
+    }
+
+    // Function to list entries page by page; pass the returned cursor to continue
+    async function list(filter, { cursor = 0, count = 50 } = {}) {
+        const result = await redisClient.scan(cursor, { MATCH: filterPattern(filter), COUNT: count });
+        const entries = [];
+
+        for (const key of result.keys) {
+            const entry = await redisClient.hGetAll(key);
+            if (!entry || !entry.translation) continue;
+            entries.push({
+                ...entry,
+                hits: parseInt(entry.hits) || 0,
+                ttl: await redisClient.ttl(key)
+            });
+        }
+
+        return { entries, cursor: result.cursor };
+    }
+
+    // Function to delete every entry matching the filter
+    async function purge(filter) {
+        let cursor = 0;
+        let deleted = 0;
+
+        do {
+            const result = await redisClient.scan(cursor, { MATCH: filterPattern(filter), COUNT: SCAN_BATCH_SIZE });
+            cursor = result.cursor;
+            if (result.keys.length > 0) {
+                deleted += await redisClient.del(result.keys);
+            }
+        } while (cursor !== 0);
+
+        return deleted;
+    }
+
+    return {
+        lookup,
+        store,
+        list,
+        purge
+    };
+}
+
+module.exports = {
+    createTranslationMemory
+};
@@ -0,0 +1,208 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Webhook callbacks are delivered from their own Bull queue, so a slow or
+// unreachable receiver never holds up translations and failed deliveries are
+// retried with exponential backoff. Every attempt is logged in the job's status
+// under `webhook`. Payloads are signed with the upload's callback secret, or
+// WEBHOOK_SECRET when none was given
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000; // ms
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_BACKOFF_DELAY = parseInt(process.env.WEBHOOK_BACKOFF_DELAY) || 10000; // ms, doubled after every attempt
+const MAX_CALLBACK_URL_LENGTH = 2048;
+const MAX_LOGGED_ATTEMPTS = 20;
+// Callback hosts that may be on the internal network (comma separated hostnames or IPs).
+// Any other host must resolve to public addresses only, so API keys can't probe internal services
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by
+// BlockList itself; a ::ffff:0:0/96 rule would match every IPv4 address as well
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Function to check a client-supplied callback URL. Returns null or an error message
+function validateCallbackUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_CALLBACK_URL_LENGTH) {
+        return `callbackUrl must be an http(s) URL of at most ${MAX_CALLBACK_URL_LENGTH} characters`;
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return `Invalid callbackUrl: ${value}`;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'callbackUrl must use http or https';
+    }
+    if (url.username || url.password) {
+        return 'callbackUrl must not contain credentials; use callbackSecret to authenticate deliveries';
+    }
+    // Host names are resolved and checked again on every delivery
+    const address = getHostAddress(url);
+    if (!isAllowedHost(url) && (url.hostname === 'localhost' || (address && isPrivateAddress(address)))) {
+        return 'callbackUrl must not point to a private, loopback or link-local address';
+    }
+    return null;
+}
+
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedHost(url) {
+    return WEBHOOK_ALLOWED_HOSTS.includes(url.hostname.toLowerCase().replace(/^\[|\]$/g, ''));
+}
+
+// The IP address of a URL whose host is one, or null for host names
+function getHostAddress(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    return net.isIP(host) ? host : null;
+}
+
+function createBlockedError(host) {
+    const error = new Error(`Callback host ${host} is a private, loopback or link-local address`);
+    error.blocked = true;
+    return error;
+}
+
+// DNS lookup for deliveries that refuses private addresses. The connection uses the
+// address checked here, so the host can't switch to an internal one in between
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(createBlockedError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const publicAgents = {
+    httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+    httpsAgent: new https.Agent({ lookup: lookupPublicAddress })
+};
+
+// Function to get the request options of a delivery, throwing for a private IP address.
+// Allowed hosts may resolve anywhere
+function getDeliveryOptions(value) {
+    const url = new URL(value);
+    if (isAllowedHost(url)) return {};
+
+    const address = getHostAddress(url);
+    if (address && isPrivateAddress(address)) throw createBlockedError(address);
+    return publicAgents;
+}
+
+// Function to sign a delivery: HMAC-SHA256 over `<timestamp>.<body>`, hex encoded.
+// Including the timestamp lets receivers reject replayed deliveries
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookNotifier(queue, statusStore) {
+    // Function to append one delivery attempt to the job's webhook log
+    async function logAttempt(fileId, state, attempt) {
+        const webhook = await statusStore.getStatusField(fileId, 'webhook');
+        if (!webhook) return; // The job was retried (new log) or its status expired
+
+        await statusStore.updateStatus(fileId, {
+            webhook: {
+                ...webhook,
+                state,
+                attempts: [...(webhook.attempts || []), attempt].slice(-MAX_LOGGED_ATTEMPTS)
+            }
+        });
+    }
+
+    queue.process(async (job) => {
+        const { fileId, url, secret, payload } = job.data;
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Tranzo-Webhook',
+            'X-Tranzo-Event': payload.event,
+            'X-Tranzo-Delivery': String(job.id),
+            'X-Tranzo-Timestamp': timestamp
+        };
+        const signingSecret = secret || WEBHOOK_SECRET;
+        if (signingSecret) {
+            headers['X-Tranzo-Signature'] = `sha256=${signPayload(signingSecret, timestamp, body)}`;
+        }
+
+        const number = job.attemptsMade + 1;
+        const startTime = Date.now();
+        let statusCode;
+        let error;
+        let blocked = false;
+        try {
+            const response = await axios.post(url, body, {
+                ...getDeliveryOptions(url),
+                headers,
+                timeout: WEBHOOK_TIMEOUT,
+                maxRedirects: 0, // A redirect could send the signed payload somewhere else
+                validateStatus: () => true
+            });
+            statusCode = response.status;
+            if (statusCode < 200 || statusCode >= 300) {
+                error = `Receiver responded with HTTP ${statusCode}`;
+            }
+        } catch (requestError) {
+            // Deliveries to internal addresses are refused and not retried
+            blocked = Boolean(requestError.blocked || (requestError.cause && requestError.cause.blocked));
+            error = blocked ? 'Callback host is a private, loopback or link-local address' : requestError.message;
+        }
+
+        if (blocked) await job.discard();
+        const lastAttempt = blocked || number >= (job.opts.attempts || 1);
+        await logAttempt(fileId, error ? (lastAttempt ? 'failed' : 'retrying') : 'delivered', {
+            attempt: number,
+            time: new Date(startTime).toISOString(),
+            duration: Date.now() - startTime,
+            statusCode,
+            error
+        });
+
+        if (error) {
+            console.error(`Webhook delivery ${job.id} for ${fileId} failed (attempt ${number}): ${error}`);
+            throw new Error(error); // Bull retries with backoff
+        }
+    });
+
+    // Function to queue a delivery of `payload` to a job's callback
+    async function notify(fileId, { url, secret }, payload) {
+        await statusStore.updateStatus(fileId, {
+            webhook: { url, event: payload.event, state: 'pending', attempts: [] }
+        });
+        await queue.add({ fileId, url, secret, payload }, {
+            attempts: WEBHOOK_MAX_ATTEMPTS,
+            backoff: { type: 'exponential', delay: WEBHOOK_BACKOFF_DELAY },
+            removeOnComplete: true
+        });
+    }
+
+    return { notify };
+}
+
+module.exports = {
+    validateCallbackUrl,
+    signPayload,
+    createWebhookNotifier
+};
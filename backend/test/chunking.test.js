@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoChunks, joinChunks, packBatches, runWithConcurrency, withRetry } = require('../lib/chunking');
+
+test('splitIntoChunks keeps every chunk within the limit and rebuilds the layout', () => {
+    const text = '  First paragraph. It has two sentences.\n\n    Second paragraph, indented.\nA new line!\n\n\nThird.  ';
+    const { prefix, chunks } = splitIntoChunks(text, 30);
+
+    assert.equal(prefix, '  ');
+    for (const chunk of chunks) assert.ok(chunk.text.length <= 30, chunk.text);
+    assert.equal(joinChunks(prefix, chunks, chunks.map(chunk => chunk.text)), text);
+});
+
+test('splitIntoChunks splits on CJK sentence ends and hard-cuts overlong words', () => {
+    const { chunks } = splitIntoChunks('これは文です。 もう一つの文です。', 10);
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['これは文です。', 'もう一つの文です。']);
+
+    const word = 'x'.repeat(25);
+    const result = splitIntoChunks(word, 10);
+    assert.deepEqual(result.chunks.map(chunk => chunk.text), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    assert.equal(joinChunks(result.prefix, result.chunks, result.chunks.map(chunk => chunk.text)), word);
+});
+
+test('packBatches groups chunks by character and item limits, in order', () => {
+    const chunks = ['aaaa', 'bbbb', 'cc', 'dddddddd', 'e', 'f', 'g'].map(text => ({ text }));
+
+    const batches = packBatches(chunks, 10, 3);
+    assert.deepEqual(batches.map(batch => batch.map(chunk => chunk.text)), [
+        ['aaaa', 'bbbb', 'cc'],
+        ['dddddddd', 'e', 'f'],
+        ['g']
+    ]);
+    for (const batch of batches) {
+        assert.ok(batch.length <= 3);
+        assert.ok(batch.reduce((sum, chunk) => sum + chunk.text.length, 0) <= 10);
+    }
+});
+
+test('packBatches gives a chunk longer than the limit a batch of its own', () => {
+    const chunks = [{ text: 'a' }, { text: 'x'.repeat(50) }, { text: 'b' }];
+    assert.deepEqual(packBatches(chunks, 10, 100).map(batch => batch.length), [1, 1, 1]);
+    assert.deepEqual(packBatches([], 10, 100), []);
+});
+
+test('runWithConcurrency keeps the result order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await runWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3]);
+    assert.equal(maxRunning, 2);
+});
+
+test('withRetry retries retryable errors until the operation succeeds', async () => {
+    let attempts = 0;
+    const result = await withRetry(async () => {
+        attempts++;
+        if (attempts < 3) throw Object.assign(new Error('busy'), { retryable: true });
+        return 'done';
+    }, { retries: 3, delayMs: 1, shouldRetry: error => error.retryable });
+
+    assert.equal(result, 'done');
+    assert.equal(attempts, 3);
+});
+
+test('withRetry gives up after the last retry and on non-retryable errors', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new Error('down');
+    }, { retries: 2, delayMs: 1 }), /down/);
+    assert.equal(attempts, 3);
+
+    attempts = 0;
+    await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new Error('bad request');
+    }, { retries: 5, delayMs: 1, shouldRetry: error => error.retryable }), /bad request/);
+    assert.equal(attempts, 1);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Results are read from a scratch folder through the local storage backend
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tranzo-download-'));
+process.env.STORAGE_LOCAL_ROOT = root;
+const storage = require('../lib/storage/local');
+const { sendDownload } = require('../lib/download');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.get('/download/*', (req, res, next) => sendDownload(res, storage, req.params[0]).catch(next));
+    app.use((error, req, res, next) => res.status(500).json({ error: error.message }));
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+function storeResult(key, content) {
+    fs.mkdirSync(path.join(root, path.dirname(key)), { recursive: true });
+    fs.writeFileSync(path.join(root, key), content);
+}
+
+test('non-ASCII file names get an ASCII fallback and a UTF-8 filename*', async () => {
+    const name = '日本語の報告書_translated_to_de.txt';
+    storeResult(`job-1/${name}`, 'Übersetzter Text');
+
+    const response = await fetch(`${baseUrl}/download/job-1/${encodeURIComponent(name)}`);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'Übersetzter Text');
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+
+    const disposition = response.headers.get('content-disposition');
+    // Header values must stay ASCII, or Node refuses to send them
+    assert.match(disposition, /^[\x20-\x7e]+$/);
+    assert.match(disposition, /^attachment; filename="[^"]+"; filename\*=UTF-8''/);
+    const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/)[1];
+    assert.equal(decodeURIComponent(encodedName), name);
+});
+
+test('content types follow the result extension', async () => {
+    storeResult('job-2/report.pdf', '%PDF-1.7');
+    storeResult('job-2/messages.json', '{}');
+
+    const pdf = await fetch(`${baseUrl}/download/job-2/report.pdf`);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.equal(pdf.headers.get('content-disposition'), 'attachment; filename="report.pdf"');
+    await pdf.arrayBuffer();
+
+    const json = await fetch(`${baseUrl}/download/job-2/messages.json`);
+    assert.match(json.headers.get('content-type'), /^application\/json/);
+    await json.arrayBuffer();
+});
+
+test('storage errors reach the error handler instead of a half-sent download', async () => {
+    const response = await fetch(`${baseUrl}/download/${encodeURIComponent('../outside.txt')}`);
+    assert.equal(response.status, 500);
+    assert.match((await response.json()).error, /Invalid storage key/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const iconv = require('iconv-lite');
+const { isSupportedEncoding, normalizeEncoding, detectEncoding, decodeText, encodeText } = require('../lib/encoding');
+
+test('normalizeEncoding spells encodings the usual way', () => {
+    assert.equal(normalizeEncoding(' UTF8 '), 'utf-8');
+    assert.equal(normalizeEncoding('UTF16LE'), 'utf-16le');
+    assert.equal(normalizeEncoding('cp1252'), 'windows-1252');
+    assert.equal(normalizeEncoding('Shift_JIS'), 'shift_jis');
+});
+
+test('isSupportedEncoding only accepts encodings iconv-lite knows', () => {
+    assert.ok(isSupportedEncoding('windows-1252'));
+    assert.ok(isSupportedEncoding('shift_jis'));
+    assert.ok(!isSupportedEncoding('klingon'));
+    assert.ok(!isSupportedEncoding(undefined));
+});
+
+test('detectEncoding reads byte order marks and valid UTF-8', () => {
+    assert.deepEqual(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), { encoding: 'utf-8', confidence: 1, bom: true });
+    assert.deepEqual(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00])), { encoding: 'utf-16le', confidence: 1, bom: true });
+    assert.deepEqual(detectEncoding(Buffer.from('Grüße, 日本語', 'utf8')), { encoding: 'utf-8', confidence: 1, bom: false });
+});
+
+test('decodeText guesses legacy encodings and honours an explicit one', () => {
+    const text = 'Les élèves préférés de l’école française étaient très âgés à côté du château.';
+    const decoded = decodeText(iconv.encode(text, 'windows-1252'));
+    assert.equal(decoded.text, text);
+    assert.equal(decoded.bom, false);
+    assert.ok(decoded.confidence > 0 && decoded.confidence <= 1);
+
+    const shiftJis = decodeText(iconv.encode('日本語のテキスト', 'shift_jis'), 'Shift_JIS');
+    assert.deepEqual(shiftJis, { encoding: 'shift_jis', confidence: null, bom: false, text: '日本語のテキスト' });
+});
+
+test('decodeText drops the byte order mark', () => {
+    const decoded = decodeText(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('Hello', 'utf8')]));
+    assert.equal(decoded.text, 'Hello');
+    assert.equal(decoded.bom, true);
+});
+
+test('encodeText writes the requested encoding, or UTF-8 when characters would be lost', () => {
+    const latin = encodeText('café', 'cp1252');
+    assert.equal(latin.encoding, 'windows-1252');
+    assert.deepEqual([...latin.buffer], [0x63, 0x61, 0x66, 0xe9]);
+
+    const fallback = encodeText('日本語', 'windows-1252');
+    assert.equal(fallback.encoding, 'utf-8');
+    assert.equal(fallback.buffer.toString('utf8'), '日本語');
+
+    const withBom = encodeText('a', 'utf-8', { bom: true });
+    assert.deepEqual([...withBom.buffer], [0xef, 0xbb, 0xbf, 0x61]);
+});
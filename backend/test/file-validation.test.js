@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sanitizeFilename, sanitizeEntryName, detectFileType, checkFileType, inspectZip } = require('../lib/file-validation');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tranzo-validation-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+function writeZip(name, entries) {
+    const zip = new AdmZip();
+    for (const [entryName, content] of Object.entries(entries)) zip.addFile(entryName, Buffer.from(content));
+    const filePath = path.join(tempDir, name);
+    zip.writeZip(filePath);
+    return filePath;
+}
+
+test('sanitizeFilename reduces client names to a safe base name', () => {
+    assert.equal(sanitizeFilename('../../etc/passwd'), 'passwd');
+    assert.equal(sanitizeFilename('C:\\Users\\me\\report?.txt'), 'report_.txt');
+    assert.equal(sanitizeFilename('..hidden'), 'hidden');
+    assert.equal(sanitizeFilename(''), 'file');
+    assert.equal(sanitizeFilename('日本語.txt'), '日本語.txt');
+    assert.equal(sanitizeFilename(`${'a'.repeat(300)}.docx`).length, 200);
+});
+
+test('sanitizeEntryName rejects paths outside the archive root', () => {
+    assert.equal(sanitizeEntryName('docs/./a.txt'), 'docs/a.txt');
+    assert.equal(sanitizeEntryName('docs\\b.txt'), 'docs/b.txt');
+    assert.equal(sanitizeEntryName('../evil.txt'), null);
+    assert.equal(sanitizeEntryName('docs/../../evil.txt'), null);
+    assert.equal(sanitizeEntryName('/etc/passwd'), null);
+    assert.equal(sanitizeEntryName('C:/evil.txt'), null);
+    assert.equal(sanitizeEntryName('a\0.txt'), null);
+});
+
+test('detectFileType recognises files by their content', () => {
+    assert.equal(detectFileType(writeFile('plain.txt', 'Hello')), 'txt');
+    assert.equal(detectFileType(writeFile('utf16.txt', Buffer.from([0xff, 0xfe, 0x48, 0x00]))), 'txt');
+    assert.equal(detectFileType(writeFile('doc.pdf', '%PDF-1.7\n')), 'pdf');
+    assert.equal(detectFileType(writeFile('image.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]))), 'png');
+    assert.equal(detectFileType(writeFile('photo.jpg', Buffer.from([0xff, 0xd8, 0xff, 0xe0]))), 'jpeg');
+    assert.equal(detectFileType(writeFile('scan.tif', Buffer.from([0x49, 0x49, 0x2a, 0x00]))), 'tiff');
+    assert.equal(detectFileType(writeFile('binary.bin', Buffer.from([0x00, 0x01, 0x02]))), null);
+    assert.equal(detectFileType(writeZip('archive.zip', { 'a.txt': 'Hello' })), 'zip');
+    assert.equal(detectFileType(writeZip('letter.docx', { 'word/document.xml': '<w:document/>' })), 'docx');
+});
+
+test('checkFileType compares the content with the extension', () => {
+    assert.equal(checkFileType(writeFile('ok.md', '# Title'), '.md'), null);
+    assert.equal(checkFileType(writeZip('word.zip', { 'word/document.xml': '<w:document/>' }), '.zip'), null);
+    assert.equal(checkFileType(writeFile('fake.pdf', 'just text'), '.pdf').code, 'FILE_TYPE_MISMATCH');
+    assert.equal(checkFileType(writeFile('program.exe', 'MZ'), '.exe').code, 'UNSUPPORTED_FILE_TYPE');
+});
+
+test('inspectZip accepts ordinary archives', () => {
+    assert.equal(inspectZip(writeZip('good.zip', { 'a.txt': 'Hello', 'docs/b.md': '# Title' })), null);
+});
+
+test('inspectZip rejects broken archives, unsafe names and suspicious compression', () => {
+    assert.equal(inspectZip(writeFile('broken.zip', 'PK\x03\x04 not really a zip')).code, 'INVALID_ZIP');
+    // adm-zip cleans names it adds, so the traversal is written into the archive bytes
+    const traversal = fs.readFileSync(writeZip('traversal.zip', { 'xx/evil.txt': 'Hello' }), 'latin1');
+    const traversalPath = writeFile('traversal.zip', Buffer.from(traversal.split('xx/evil.txt').join('../evil.txt'), 'latin1'));
+    assert.equal(inspectZip(traversalPath).code, 'ZIP_UNSAFE_ENTRY_NAME');
+    assert.equal(inspectZip(writeZip('bomb.zip', { 'zeros.txt': '\0'.repeat(4 * 1024 * 1024) })).code, 'ZIP_COMPRESSION_RATIO');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isTextFormat, getContentType, translateTextFormat, extractTextFormat } = require('../lib/formats');
+
+// Tags each segment like the mock provider does
+const tagSegments = async texts => texts.map(text => `[de] ${text}`);
+const keepSegments = async texts => texts;
+
+const SAMPLES = {
+    '.md': {
+        content: '# Title\n\nSome *bold* text with `code` and a [link](http://example.com).\n\n- item one\n- item two\n',
+        translated: '# [de] Title\n\n[de] Some *bold* text with `code` and a [link](http://example.com).\n\n- [de] item one\n- [de] item two\n'
+    },
+    '.html': {
+        content: '<!DOCTYPE html>\n<html><head><title>Hello</title></head><body><p>Hello <b>world</b>.</p><script>var a = 1;</script></body></html>\n',
+        translated: '<!DOCTYPE html>\n<html><head><title>[de] Hello</title></head><body><p>[de] Hello <b>world</b>.</p><script>var a = 1;</script></body></html>\n'
+    },
+    '.srt': {
+        content: '1\n00:00:01,000 --> 00:00:02,000\nHello there.\n\n2\n00:00:03,000 --> 00:00:04,000\nSecond line\nwraps here.\n',
+        translated: '1\n00:00:01,000 --> 00:00:02,000\n[de] Hello there.\n\n2\n00:00:03,000 --> 00:00:04,000\n[de] Second line\nwraps here.\n'
+    },
+    '.vtt': {
+        content: 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello there.\n\n00:00:03.000 --> 00:00:04.000\nGoodbye.\n',
+        translated: 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n[de] Hello there.\n\n00:00:03.000 --> 00:00:04.000\n[de] Goodbye.\n'
+    },
+    '.json': {
+        content: '{\n  "greeting": "Hello {name}",\n  "nested": {\n    "bye": "Goodbye"\n  },\n  "count": 3\n}\n',
+        translated: '{\n  "greeting": "[de] Hello {name}",\n  "nested": {\n    "bye": "[de] Goodbye"\n  },\n  "count": 3\n}\n'
+    },
+    '.yaml': {
+        content: 'greeting: Hello %{name}\nnested:\n  bye: Goodbye\ncount: 3\n',
+        translated: 'greeting: "[de] Hello %{name}"\nnested:\n  bye: "[de] Goodbye"\ncount: 3\n'
+    }
+};
+
+for (const [extension, { content, translated }] of Object.entries(SAMPLES)) {
+    test(`${extension} files keep their structure through a translation`, async () => {
+        assert.ok(isTextFormat(extension));
+        assert.ok(getContentType(extension));
+        assert.equal(await translateTextFormat(content, extension, keepSegments), content);
+        assert.equal(await translateTextFormat(content, extension, tagSegments), translated);
+    });
+}
+
+test('.po files get their msgstr filled and keep the header', async () => {
+    const content = 'msgid ""\nmsgstr ""\n"Content-Type: text/plain; charset=UTF-8\\n"\n\nmsgid "Hello %s"\nmsgstr ""\n\nmsgid "Goodbye"\nmsgstr ""\n';
+    const translated = await translateTextFormat(content, '.po', tagSegments);
+
+    assert.match(translated, /"Content-Type: text\/plain; charset=UTF-8\\n"/);
+    assert.match(translated, /msgid "Hello %s"\nmsgstr "\[de\] Hello %s"/);
+    assert.match(translated, /msgid "Goodbye"\nmsgstr "\[de\] Goodbye"/);
+});
+
+test('markup and variables are sent as placeholders and put back', async () => {
+    let sent;
+    await translateTextFormat('{ "greeting": "Hello {name}" }', '.json', async texts => {
+        sent = texts;
+        return texts;
+    });
+    assert.deepEqual(sent, ['Hello __PH0__']);
+
+    let pairs;
+    await translateTextFormat('<p>Hello <b>world</b></p>', '.html', tagSegments, {
+        onSegments: (sources, translations) => { pairs = { sources, translations }; }
+    });
+    assert.deepEqual(pairs, { sources: ['Hello <b>world</b>'], translations: ['[de] Hello <b>world</b>'] });
+});
+
+test('a byte order mark is dropped and files without text are rejected', async () => {
+    assert.equal(await translateTextFormat('﻿# Title\n', '.md', tagSegments), '# [de] Title\n');
+    await assert.rejects(translateTextFormat('{ "count": 3 }', '.json', tagSegments), /No translatable text/);
+    await assert.rejects(translateTextFormat('text', '.exe', tagSegments), /Unsupported file format/);
+});
+
+test('extractTextFormat lists the translatable text one segment per line', () => {
+    assert.equal(extractTextFormat(SAMPLES['.srt'].content, '.srt'), 'Hello there.\nSecond line\nwraps here.');
+    assert.equal(extractTextFormat(SAMPLES['.vtt'].content, '.vtt'), 'Hello there.\nGoodbye.');
+});
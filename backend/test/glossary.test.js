@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGlossary, protectTerms, restoreTerms } = require('../lib/glossary');
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function createGlossary(terms, doNotTranslate = []) {
+    return parseGlossary({ name: 'Test', sourceLanguage: 'en', targetLanguage: 'de', terms, doNotTranslate }, LANGUAGE_CODE).glossary;
+}
+
+test('parseGlossary validates the body', () => {
+    assert.match(parseGlossary({}, LANGUAGE_CODE).error, /name is required/);
+    assert.match(parseGlossary({ name: 'x', sourceLanguage: 'en', targetLanguage: '??' }, LANGUAGE_CODE).error, /targetLanguage codes/);
+    assert.match(parseGlossary({ name: 'x', sourceLanguage: 'en', targetLanguage: 'de', terms: [{ source: ' ' }] }, LANGUAGE_CODE).error, /terms/);
+    assert.match(parseGlossary({ name: 'x', sourceLanguage: 'en', targetLanguage: 'de', doNotTranslate: [''] }, LANGUAGE_CODE).error, /doNotTranslate/);
+
+    const { glossary } = parseGlossary({ name: ' Brand ', sourceLanguage: 'en', targetLanguage: 'de', terms: [{ source: ' cart ', target: 'Warenkorb' }] }, LANGUAGE_CODE);
+    assert.deepEqual(glossary, { name: 'Brand', sourceLanguage: 'en', targetLanguage: 'de', terms: [{ source: 'cart', target: 'Warenkorb' }], doNotTranslate: [] });
+});
+
+test('protectTerms replaces whole words only, longest term first', () => {
+    const glossary = createGlossary([{ source: 'cart', target: 'Warenkorb' }, { source: 'shopping cart', target: 'Einkaufswagen' }]);
+    const result = protectTerms('Your Shopping Cart and cart, but not carton.', glossary);
+
+    assert.equal(result.text, 'Your __GLS1__ and __GLS0__, but not carton.');
+    assert.deepEqual(result.matches.map(match => match.original), ['Shopping Cart', 'cart']);
+});
+
+test('restoreTerms puts forced translations and do-not-translate terms back', () => {
+    const glossary = createGlossary([{ source: 'cart', target: 'Warenkorb' }], ['Tranzo']);
+    const protectedResult = protectTerms('TRANZO keeps your cart. Tranzo!', glossary);
+
+    const { text, applied } = restoreTerms(`[de] ${protectedResult.text}`, protectedResult);
+    assert.equal(text, '[de] TRANZO keeps your Warenkorb. Tranzo!');
+    assert.deepEqual(applied.map(({ term, count }) => [term, count]).sort(), [['Tranzo', 2], ['cart', 1]]);
+});
+
+test('texts without glossary terms pass through unchanged', () => {
+    const glossary = createGlossary([], []);
+    const protectedResult = protectTerms('Nothing to see', glossary);
+
+    assert.deepEqual(protectedResult, { text: 'Nothing to see', matches: [] });
+    assert.deepEqual(restoreTerms('Nichts', protectedResult), { text: 'Nichts', applied: [] });
+});
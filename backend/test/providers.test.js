@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasProvider, getProvider } = require('../lib/providers');
+const { splitIntoChunks, joinChunks, packBatches, runWithConcurrency, withRetry } = require('../lib/chunking');
+const { parseGlossary, protectTerms, restoreTerms } = require('../lib/glossary');
+const { translateTextFormat } = require('../lib/formats');
+const { createLanguageCatalog } = require('../lib/languages');
+
+// Provider-dependent paths, driven by the deterministic mock provider
+const mock = getProvider('mock');
+const options = { source: 'en', target: 'de' };
+
+test('the mock provider is registered and translates predictably', async () => {
+    assert.ok(hasProvider('mock'));
+    assert.ok(!hasProvider('toString'));
+    assert.throws(() => getProvider('nope'), /Unknown translation provider: nope/);
+
+    assert.equal(await mock.translate('Hello', options), '[de] Hello');
+    assert.deepEqual(await mock.translateBatch(['one', 'two', 'three'], options), ['[de] one', '[de] two', '[de] three']);
+    assert.deepEqual(await mock.detect('Привет'), { language: 'ru', confidence: 1 });
+    assert.deepEqual(await mock.detect('こんにちは'), { language: 'ja', confidence: 1 });
+    assert.deepEqual(await mock.detect('Hello'), { language: 'en', confidence: 1 });
+});
+
+test('chunks are packed into batches, translated and joined back in order', async () => {
+    const text = Array.from({ length: 40 }, (_, i) => `Sentence number ${i}.`).join(' ') + '\n\nLast paragraph.\n';
+    const { prefix, chunks } = splitIntoChunks(text, 60);
+    const batches = packBatches(chunks, 200, 5);
+    assert.ok(batches.length > 1);
+
+    const translatedBatches = await runWithConcurrency(batches, 2, batch => withRetry(
+        () => mock.translateBatch(batch.map(chunk => chunk.text), options),
+        { retries: 1, delayMs: 1 }
+    ));
+    const translated = joinChunks(prefix, chunks, translatedBatches.flat());
+
+    assert.equal(translated.replace(/\[de\] /g, ''), text);
+    assert.equal(translated.match(/\[de\] /g).length, chunks.length);
+});
+
+test('glossary terms survive a round trip through the provider', async () => {
+    const { glossary } = parseGlossary({
+        name: 'Shop',
+        sourceLanguage: 'en',
+        targetLanguage: 'de',
+        terms: [{ source: 'cart', target: 'Warenkorb' }],
+        doNotTranslate: ['Tranzo']
+    }, /^[a-z]{2}$/);
+
+    const protectedResult = protectTerms('Tranzo saved your cart.', glossary);
+    const [translated] = await mock.translateBatch([protectedResult.text], options);
+
+    assert.equal(restoreTerms(translated, protectedResult).text, '[de] Tranzo saved your Warenkorb.');
+});
+
+test('structured formats are translated through translateBatch', async () => {
+    const content = '1\n00:00:01,000 --> 00:00:02,000\nHello <i>there</i>.\n';
+    const translated = await translateTextFormat(content, '.srt', texts => mock.translateBatch(texts, options));
+
+    assert.equal(translated, '1\n00:00:01,000 --> 00:00:02,000\n[de] Hello <i>there</i>.\n');
+});
+
+test('the language catalog checks pairs against the provider list', async () => {
+    const catalog = createLanguageCatalog(getProvider);
+    const languages = await catalog.getLanguages('mock');
+
+    assert.deepEqual(languages.map(language => language.code), ['en', 'fr', 'de', 'es']);
+    assert.deepEqual(languages.find(language => language.code === 'en').targets, ['de', 'es', 'fr']);
+    assert.deepEqual(await catalog.findUnsupportedPairs('mock', 'auto', ['de', 'fr']), []);
+    assert.deepEqual(await catalog.findUnsupportedPairs('mock', 'en', ['de', 'ja']), [
+        { sourceLanguage: 'en', targetLanguage: 'ja', error: 'mock cannot translate en into ja' }
+    ]);
+    assert.deepEqual(await catalog.findUnsupportedPairs('mock', 'xx', ['de']), [
+        { sourceLanguage: 'xx', targetLanguage: 'de', error: 'mock does not support source language xx' }
+    ]);
+});
@@ -0,0 +1,52 @@
+import { NextResponse, type NextRequest } from "next/server"
+
+// Everyone who can open the UI uses the backend through its one API key, so the whole
+// app (pages and the /api proxy) sits behind HTTP Basic authentication. Set UI_USERNAME
+// and UI_PASSWORD, or UI_AUTH_DISABLED=true for a UI that is only reachable by trusted users
+const UI_USERNAME = process.env.UI_USERNAME || "admin"
+const UI_PASSWORD = process.env.UI_PASSWORD
+const UI_AUTH_DISABLED = process.env.UI_AUTH_DISABLED === "true"
+
+// Compare without returning early, so the time taken doesn't reveal how much matched
+function safeEqual(a: string, b: string) {
+  let difference = a.length ^ b.length
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    difference |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0)
+  }
+  return difference === 0
+}
+
+function isAuthorized(request: NextRequest) {
+  const [scheme, encoded] = (request.headers.get("authorization") || "").split(" ")
+  if (scheme !== "Basic" || !encoded) return false
+
+  let credentials: string
+  try {
+    credentials = atob(encoded)
+  } catch {
+    return false
+  }
+  const separator = credentials.indexOf(":")
+  return separator !== -1 &&
+    safeEqual(credentials.slice(0, separator), UI_USERNAME) &&
+    safeEqual(credentials.slice(separator + 1), UI_PASSWORD || "")
+}
+
+export function middleware(request: NextRequest) {
+  if (UI_AUTH_DISABLED) return NextResponse.next()
+
+  if (!UI_PASSWORD) {
+    return new NextResponse("UI_PASSWORD is not configured (or set UI_AUTH_DISABLED=true)", { status: 503 })
+  }
+  if (!isAuthorized(request)) {
+    return new NextResponse("Authentication required", {
+      status: 401,
+      headers: { "WWW-Authenticate": 'Basic realm="Tranzo", charset="UTF-8"' },
+    })
+  }
+  return NextResponse.next()
+}
+
+export const config = {
+  matcher: ["/((?!_next/static|_next/image|favicon.ico).*)"],
+}
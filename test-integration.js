@@ -12,10 +12,13 @@ const FormData = require('form-data');
 const BACKEND_URL = 'http://localhost:3001';
 const FRONTEND_URL = 'http://localhost:3002';
 
+// API key for backends started with API_KEYS
+const API_HEADERS = process.env.TRANZO_API_KEY ? { Authorization: `Bearer ${process.env.TRANZO_API_KEY}` } : {};
+
 async function testBackendHealth() {
     console.log('🔍 Testing backend health...');
     try {
-        const response = await axios.get(`${BACKEND_URL}/languages`);
+        const response = await axios.get(`${BACKEND_URL}/languages`, { headers: API_HEADERS });
         console.log('✅ Backend is running and responding');
         console.log(`📋 Available languages: ${response.data.length} languages`);
         return true;
@@ -41,6 +44,7 @@ async function testFileUpload() {
         const response = await axios.post(`${BACKEND_URL}/upload`, form, {
             headers: {
                 ...form.getHeaders(),
+                ...API_HEADERS,
             },
         });
 
@@ -60,7 +64,7 @@ async function testFileUpload() {
 async function testStatusCheck(fileId) {
     console.log('\n📊 Testing status check...');
     try {
-        const response = await axios.get(`${BACKEND_URL}/status/${fileId}`);
+        const response = await axios.get(`${BACKEND_URL}/status/${fileId}`, { headers: API_HEADERS });
         console.log('✅ Status check successful');
         console.log(`📈 Status: ${response.data.status}`);
         console.log(`⏱️  Progress: ${response.data.progress}%`);